@@ -4,24 +4,70 @@
 const http = require("http");
 const { URL } = require("url");
 
-const { createConfig, normalizeValue, SAFE_COMMAND_KEYS, DANGEROUS_COMMAND_KEYS } = require("./lib/config");
+const {
+  createConfig,
+  normalizeValue,
+  SAFE_COMMAND_KEYS,
+  SAFE_MUTATE_COMMAND_KEYS,
+  DANGEROUS_COMMAND_KEYS,
+} = require("./lib/config");
 const { Logger } = require("./lib/logger");
+const { AuditLog, hashOutput } = require("./lib/audit-log");
+const { MetricsRegistry } = require("./lib/metrics");
+const { AccessTokenStore, canCallerRunCommand, canCallerAccessContainer } = require("./lib/access-tokens");
 const { DockerClient, parsePositiveInt } = require("./lib/docker-client");
-const { runTailscaleShadowSync } = require("./lib/tailscale-shadow-sync");
+const { DockerEngineClient } = require("./lib/docker-engine-client");
+const { JobQueue } = require("./lib/job-queue");
+const { ContainerWatchdog } = require("./lib/container-watchdog");
+const { checkImageUpdates, upgradeComposeService } = require("./lib/image-updates");
+const { PocketbaseBackups } = require("./lib/pocketbase-backup");
+const { StreamResponseWriter, createLineSplitter, resolveStreamMode } = require("./lib/log-stream");
+const { createNginxLogFilter, parseNginxLogLine, parseTimeBound, readLogFilterOptions } = require("./lib/nginx-log-filter");
+const { loadShadowGroups, readShadowFiles, runTailscaleShadowSync } = require("./lib/tailscale-shadow-sync");
+const { TailscaleWatcher } = require("./lib/tailscale-watcher");
+const { ShadowPeerProber } = require("./lib/shadow-peer-probe");
+const { MirrorRules } = require("./lib/mirror-rules");
+const { MainUpstream } = require("./lib/main-upstream");
+const { NginxApplyLock } = require("./lib/nginx-files");
+const { PeerDiscovery } = require("./lib/peer-discovery");
+const { buildShadowDiffReport, formatShadowDiffReport } = require("./lib/shadow-diff-report");
 
 const config = createConfig();
 const logger = new Logger({
   logDir: config.logDir,
   logPath: config.logPath,
   scopePrefix: "docker-manager",
+  maxBytes: config.logMaxBytes,
+  maxAgeSec: config.logMaxAgeSec,
+  maxFiles: config.logMaxFiles,
+  maxTotalBytes: config.logMaxTotalBytes,
+  flushIntervalMs: config.logFlushIntervalMs,
 });
-const dockerClient = new DockerClient(config, logger);
+const metrics = new MetricsRegistry();
+const dockerClient =
+  config.dockerBackend === "api" ? new DockerEngineClient(config, logger, metrics) : new DockerClient(config, logger, metrics);
+const tokenStore = new AccessTokenStore({ filePath: config.tokensFile, logger });
+const auditLog = new AuditLog({
+  filePath: config.auditPath,
+  logger,
+  maxBytes: config.auditMaxBytes,
+  maxFiles: config.auditMaxFiles,
+});
+const jobQueue = new JobQueue({
+  logger,
+  concurrencyPerKey: config.jobConcurrencyPerKey,
+  maxRunning: config.jobMaxRunning,
+  historyLimit: config.jobHistoryLimit,
+  onSettled: (job) => jobMetrics.finished.inc({ key: job.key, status: job.status }),
+});
+const requestContexts = new WeakMap();
 
 const runtimeState = {
   startedAt: new Date().toISOString(),
   requestCount: 0,
   sync: {
     enabled: config.tailscaleSyncEnabled,
+    mode: config.tailscaleSyncMode,
     inProgress: false,
     lastRunAt: null,
     lastSuccessAt: null,
@@ -32,14 +78,69 @@ const runtimeState = {
   },
 };
 
+const httpMetrics = {
+  requests: metrics.counter("docker_manager_http_requests_total", "HTTP requests by route, command key, method and status."),
+  duration: metrics.histogram("docker_manager_http_request_duration_seconds", "HTTP request latency by route and command key."),
+  policyDenials: metrics.counter("docker_manager_policy_denials_total", "Requests rejected with 403 by command or container policy."),
+  authFailures: metrics.counter("docker_manager_auth_failures_total", "Requests rejected with 401 because of a missing or invalid token."),
+};
+
+const syncMetrics = {
+  runs: metrics.counter("docker_manager_tailscale_sync_runs_total", "Tailscale shadow sync runs by source and outcome."),
+  duration: metrics.histogram("docker_manager_tailscale_sync_duration_seconds", "Tailscale shadow sync duration."),
+  lastSuccess: metrics.gauge("docker_manager_tailscale_sync_last_success_timestamp_seconds", "Unix time of the last successful sync."),
+  inProgress: metrics.gauge("docker_manager_tailscale_sync_in_progress", "1 while a tailscale shadow sync is running."),
+  shadowPeers: metrics.gauge("docker_manager_shadow_peers", "Shadow peer files currently present per shadow group dir."),
+  watchConnected: metrics.gauge("docker_manager_tailscale_watch_connected", "1 while the tailscale ipn bus watch is streaming."),
+};
+
+const resolveCacheMetrics = {
+  lookups: metrics.counter("docker_manager_resolve_cache_lookups_total", "Container name resolve cache lookups by result."),
+  hitRatio: metrics.gauge("docker_manager_resolve_cache_hit_ratio", "Container name resolve cache hit ratio since start."),
+  entries: metrics.gauge("docker_manager_resolve_cache_entries", "Entries currently held in the container name resolve cache."),
+};
+
+const jobMetrics = {
+  finished: metrics.counter("docker_manager_jobs_total", "Finished async jobs by command key and final status."),
+  active: metrics.gauge("docker_manager_jobs", "Async jobs currently queued or running."),
+};
+
+const watchdogMetrics = {
+  restarts: metrics.counter("docker_manager_watchdog_restarts_total", "Container restarts issued by the watchdog by outcome."),
+  healthy: metrics.gauge("docker_manager_watchdog_container_healthy", "1 when the last watchdog check passed, 0 when it failed."),
+  failures: metrics.gauge("docker_manager_watchdog_consecutive_failures", "Consecutive failed watchdog checks per container."),
+};
+
+const processMetrics = {
+  startTime: metrics.gauge("docker_manager_start_time_seconds", "Unix time when docker-manager started."),
+};
+
+const watchdog = new ContainerWatchdog({ dockerClient, config, logger, metrics: watchdogMetrics });
+const pocketbaseBackups = new PocketbaseBackups({ dockerClient, config, logger, watchdog });
+const nginxLock = new NginxApplyLock();
+const mirrorRules = new MirrorRules({ dockerClient, config, logger, nginxLock });
+const mainUpstream = new MainUpstream({ dockerClient, config, logger, nginxLock });
+const peerDiscovery = new PeerDiscovery({ dockerClient, config, logger });
+// shadow apps serve no common health path, so probing stays off until the operator names one
+const shadowProber = config.shadowProbeEnabled && config.shadowProbePath ? new ShadowPeerProber({ config, logger }) : null;
+const tailscaleWatcher = new TailscaleWatcher({
+  dockerClient,
+  config,
+  logger,
+  onChange: () => runScheduledSync("watch"),
+  // an upstream change or mirror rules update moves nginx files the sync would read
+  isBusy: () => nginxLock.busy,
+});
+
 const COMMAND_SPECS = [
   ...SAFE_COMMAND_KEYS.map((key) => ({ key, category: "safe" })),
   ...DANGEROUS_COMMAND_KEYS.map((key) => ({ key, category: "dangerous" })),
 ];
 
 const COMMAND_MAP = new Map(COMMAND_SPECS.map((item) => [item.key, item]));
+const AUDITED_COMMAND_KEYS = new Set([...SAFE_MUTATE_COMMAND_KEYS, ...DANGEROUS_COMMAND_KEYS]);
 
-const isCommandAllowed = (commandKey) => {
+const isCommandAllowed = (commandKey, caller = null) => {
   const spec = COMMAND_MAP.get(commandKey);
   if (!spec) {
     return false;
@@ -47,6 +148,9 @@ const isCommandAllowed = (commandKey) => {
   if (config.blockedCommands.has(commandKey)) {
     return false;
   }
+  if (!canCallerRunCommand(caller, commandKey)) {
+    return false;
+  }
   if (spec.category === "safe") {
     if (!config.enableSafeCommands) {
       return false;
@@ -81,6 +185,41 @@ const respondJson = (res, statusCode, payload) => {
   res.end(`${body}\n`);
 };
 
+const wantsJson = (req) => {
+  let format = "";
+  try {
+    format = normalizeValue(new URL(req.url, "http://127.0.0.1").searchParams.get("format")).toLowerCase();
+  } catch {
+    format = "";
+  }
+  if (format) {
+    return format === "json";
+  }
+  const accept = normalizeValue(req.headers.accept).toLowerCase();
+  return accept.includes("application/json");
+};
+
+const respondError = (req, res, statusCode, message) => {
+  if (wantsJson(req)) {
+    respondJson(res, statusCode, { ok: false, status: statusCode, error: message });
+    return;
+  }
+  respondText(res, statusCode, message);
+};
+
+const isTruthyParam = (value) => ["1", "true", "yes", "on"].includes(normalizeValue(value).toLowerCase());
+
+const buildCommandEnvelope = (result) => ({
+  ok: Boolean(result && result.code === 0),
+  command: result && result.command ? result.command : "",
+  code: result && typeof result.code === "number" ? result.code : null,
+  signal: result && result.signal ? result.signal : null,
+  durationMs: result && typeof result.durationMs === "number" ? result.durationMs : null,
+  stdout: String((result && result.stdout) || ""),
+  stderr: String((result && result.stderr) || ""),
+  data: result && result.data !== undefined ? result.data : null,
+});
+
 const formatCommandResult = (result) => {
   if (!result || typeof result !== "object") {
     return "no command result";
@@ -240,47 +379,517 @@ const collectCommandText = (urlObj, body) => {
 const ensureMethod = (req, res, methods) => {
   const allow = Array.isArray(methods) ? methods : [methods];
   if (!allow.includes(req.method)) {
-    respondText(res, 405, `method not allowed: ${req.method}\nallowed: ${allow.join(", ")}`);
+    respondError(req, res, 405, `method not allowed: ${req.method}\nallowed: ${allow.join(", ")}`);
     return false;
   }
   return true;
 };
 
-const requirePermission = (res, commandKey) => {
-  if (isCommandAllowed(commandKey)) {
+const readPresentedToken = (req) => {
+  const headerToken = normalizeValue(req.headers["x-dockerapi-token"]);
+  if (headerToken) {
+    return headerToken;
+  }
+  const match = normalizeValue(req.headers.authorization).match(/^Bearer\s+(.+)$/i);
+  return match ? normalizeValue(match[1]) : "";
+};
+
+const getRequestContext = (req) => requestContexts.get(req) || null;
+
+const STATIC_ROUTES = new Set([
+  "/dockerapi",
+  "/dockerapi/",
+  "/dockerapi/help",
+  "/dockerapi/healthz",
+  "/dockerapi/metrics",
+  "/dockerapi/audit",
+  "/dockerapi/jobs",
+  "/dockerapi/watchdog",
+  "/dockerapi/updates",
+  "/dockerapi/pocketbase/backups",
+  "/dockerapi/pocketbase/backup",
+  "/dockerapi/pocketbase/restore",
+  "/dockerapi/pocketbase/snapshot",
+  "/dockerapi/tailscale/status",
+  "/dockerapi/tailscale/ping",
+  "/dockerapi/tailscale/sync",
+  "/dockerapi/tailscale/sync/plan",
+  "/dockerapi/tailscale/ip",
+  "/dockerapi/nginx/test",
+  "/dockerapi/nginx/reload",
+  "/dockerapi/nginx/version",
+  "/dockerapi/nginx/mirror-rules",
+  "/dockerapi/nginx/shadow-report",
+  "/dockerapi/upstream",
+  "/dockerapi/upstream/promote",
+  "/dockerapi/upstream/demote",
+  "/dockerapi/upstream/revert",
+]);
+
+const describeRoute = (pathname) => {
+  if (STATIC_ROUTES.has(pathname)) {
+    return pathname;
+  }
+  if (/^\/dockerapi\/nginx\/logs\/[^/]+$/.test(pathname)) {
+    return "/dockerapi/nginx/logs/{type}";
+  }
+  if (/^\/dockerapi\/jobs\/[^/]+$/.test(pathname)) {
+    return "/dockerapi/jobs/{id}";
+  }
+  if (/^\/dockerapi\/system\/[^/]+$/.test(pathname)) {
+    return "/dockerapi/system/{command}";
+  }
+  if (/^\/dockerapi\/compose\/[^/]+$/.test(pathname)) {
+    return "/dockerapi/compose/{action}";
+  }
+  if (/^\/dockerapi\/[^/]+\/[^/]+$/.test(pathname)) {
+    return "/dockerapi/{container}/{action}";
+  }
+  return "other";
+};
+
+// Routes bound to one fixed container are checked against that container's token scope; routes spanning
+// every container need an unscoped token. Container and compose routes check their own target.
+const describeRouteContainer = (pathname) => {
+  if (/^\/dockerapi\/tailscale\//.test(pathname)) {
+    return config.tailscaleContainer;
+  }
+  if (/^\/dockerapi\/(nginx|upstream)(\/|$)/.test(pathname)) {
+    return config.nginxContainer;
+  }
+  if (/^\/dockerapi\/pocketbase\/(backups|backup|restore|snapshot)$/.test(pathname)) {
+    return config.pocketbaseContainer;
+  }
+  if (/^\/dockerapi\/(system\/[^/]+|audit|updates|watchdog)$/.test(pathname)) {
+    return "*";
+  }
+  return "";
+};
+
+const observeRequest = (req, res, startedAt) => {
+  const context = getRequestContext(req);
+  const route = context ? describeRoute(context.pathname) : "other";
+  const key = context && context.commandKey ? context.commandKey : "";
+  httpMetrics.requests.inc({ route, key, method: req.method, status: String(res.statusCode) });
+  httpMetrics.duration.observe({ route, key }, (Date.now() - startedAt) / 1000);
+};
+
+metrics.addCollector(() => {
+  const { hits, misses } = dockerClient.resolveCacheStats;
+  resolveCacheMetrics.lookups.set({ result: "hit" }, hits);
+  resolveCacheMetrics.lookups.set({ result: "miss" }, misses);
+  resolveCacheMetrics.hitRatio.set({}, hits + misses > 0 ? hits / (hits + misses) : 0);
+  resolveCacheMetrics.entries.set({}, dockerClient.containerResolveCache.size);
+  syncMetrics.inProgress.set({}, runtimeState.sync.inProgress ? 1 : 0);
+  syncMetrics.watchConnected.set({}, tailscaleWatcher.connected ? 1 : 0);
+  for (const item of watchdog.getState().containers) {
+    if (item.healthy !== null) {
+      watchdogMetrics.healthy.set({ container: item.name }, item.healthy ? 1 : 0);
+    }
+    watchdogMetrics.failures.set({ container: item.name }, item.consecutiveFailures);
+  }
+  const jobCounts = jobQueue.counts();
+  jobMetrics.active.set({ status: "queued" }, jobCounts.queued);
+  jobMetrics.active.set({ status: "running" }, jobCounts.running);
+  processMetrics.startTime.set({}, Date.parse(runtimeState.startedAt) / 1000);
+  try {
+    for (const group of loadShadowGroups(config)) {
+      syncMetrics.shadowPeers.set({ group: group.name }, readShadowFiles(group.dir).size);
+    }
+  } catch (error) {
+    logger.error("metrics", error, "cannot count shadow peer files");
+  }
+});
+
+const getCaller = (req) => {
+  const context = getRequestContext(req);
+  return context ? context.caller : null;
+};
+
+const startAudit = (req, commandKey, fields = {}) => {
+  const context = getRequestContext(req);
+  if (!context || !AUDITED_COMMAND_KEYS.has(commandKey)) {
+    return;
+  }
+  context.audit = {
+    key: commandKey,
+    category: COMMAND_MAP.get(commandKey).category,
+    ...fields,
+  };
+};
+
+const recordAuditResult = (req, result, error = null) => {
+  const context = getRequestContext(req);
+  if (!context || !context.audit) {
+    return;
+  }
+  if (result) {
+    context.audit.result = result;
+  }
+  if (error) {
+    context.audit.error = error && error.message ? error.message : String(error);
+  }
+};
+
+// nginx on the same host sets X-Remote-User and X-Forwarded-For; a caller reaching the port directly could
+// send anything in them, so they only count on loopback connections
+const isLoopbackRequest = (req) => /^(127\.|::1$|::ffff:127\.)/.test(normalizeValue(req.socket.remoteAddress));
+
+const readTrustedHeader = (req, name) => (isLoopbackRequest(req) ? normalizeValue(req.headers[name]) : "");
+
+const buildAuditRequestFields = (req, context) => ({
+  requestId: context.requestId,
+  user: readTrustedHeader(req, "x-remote-user") || (context.caller ? context.caller.name : ""),
+  tokenName: context.caller ? context.caller.name : "",
+  remoteAddress: readTrustedHeader(req, "x-forwarded-for") || req.socket.remoteAddress || "",
+  method: req.method,
+  path: context.pathname,
+});
+
+const recordAuditEntry = (requestFields, container, audit, extra) => {
+  const { key, category, denied, result, error } = audit;
+  auditLog.record({
+    ...requestFields,
+    key,
+    category,
+    container,
+    resolvedContainer: container ? dockerClient.readResolveCache(container) : "",
+    denied: Boolean(denied),
+    argv: result && Array.isArray(result.argv) ? result.argv : [],
+    code: result && typeof result.code === "number" ? result.code : null,
+    signal: result && result.signal ? result.signal : null,
+    durationMs: result && typeof result.durationMs === "number" ? result.durationMs : null,
+    ...(result ? hashOutput(result) : {}),
+    ...extra,
+    error: error || "",
+  });
+};
+
+const writeAuditEntry = (req, res) => {
+  const context = getRequestContext(req);
+  // async jobs write their own entry once the command has finished
+  if (!context || !context.audit || context.audit.deferred) {
+    return;
+  }
+  recordAuditEntry(buildAuditRequestFields(req, context), context.container || "", context.audit, {
+    statusCode: res.statusCode,
+  });
+};
+
+const requirePermission = (req, res, commandKey) => {
+  const caller = getCaller(req);
+  const context = getRequestContext(req);
+  if (context && !context.commandKey) {
+    context.commandKey = commandKey;
+  }
+  if (isCommandAllowed(commandKey, caller)) {
+    startAudit(req, commandKey);
+    return true;
+  }
+  startAudit(req, commandKey, { denied: true });
+  httpMetrics.policyDenials.inc({ key: commandKey, reason: "command" });
+  const suffix = caller ? ` (token: ${caller.name})` : "";
+  respondError(req, res, 403, `command is blocked by policy: ${commandKey}${suffix}`);
+  return false;
+};
+
+// "*" stands for every container and only passes unscoped tokens; compose services that may not have a
+// container yet are matched by name (`resolve: false`).
+const requireContainerAccess = async (req, res, containerName, { resolve = true } = {}) => {
+  const caller = getCaller(req);
+  const context = getRequestContext(req);
+  if (context) {
+    context.container = containerName;
+  }
+  let scopeNames = [containerName];
+  if (resolve && containerName !== "*" && caller && caller.containers.length > 0) {
+    scopeNames = await dockerClient.containerScopeNames(containerName);
+  }
+  if (canCallerAccessContainer(caller, scopeNames)) {
     return true;
   }
-  respondText(res, 403, `command is blocked by policy: ${commandKey}`);
+  httpMetrics.policyDenials.inc({ key: "", reason: "container" });
+  respondError(req, res, 403, `container is outside token scope: ${containerName} (token: ${caller.name})`);
   return false;
 };
 
-const sendCommandResult = (res, result) => {
-  if (result && typeof result.code === "number" && result.code !== 0) {
-    respondText(res, 500, formatCommandResult(result));
+const sendCommandResult = (req, res, result) => {
+  recordAuditResult(req, result);
+  const statusCode = result && typeof result.code === "number" && result.code !== 0 ? 500 : 200;
+  if (wantsJson(req)) {
+    respondJson(res, statusCode, buildCommandEnvelope(result));
+    return;
+  }
+  respondText(res, statusCode, formatCommandResult(result));
+};
+
+const serializeJob = (job, { includeResult = false } = {}) => ({
+  id: job.id,
+  key: job.key,
+  status: job.status,
+  caller: job.caller,
+  description: job.description,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  durationMs: job.durationMs,
+  error: job.error,
+  ...(includeResult ? { result: job.result ? buildCommandEnvelope(job.result) : null } : {}),
+});
+
+const formatJob = (job, { includeResult = false } = {}) => {
+  const lines = [
+    `id=${job.id}`,
+    `key=${job.key}`,
+    `status=${job.status}`,
+    `caller=${job.caller || ""}`,
+    `description=${job.description}`,
+    `createdAt=${job.createdAt}`,
+    `startedAt=${job.startedAt || ""}`,
+    `finishedAt=${job.finishedAt || ""}`,
+    `durationMs=${job.durationMs === null ? "" : job.durationMs}`,
+    `error=${job.error || ""}`,
+  ];
+  if (includeResult && job.result) {
+    lines.push("", formatCommandResult(job.result));
+  }
+  return lines.join("\n");
+};
+
+const respondJob = (req, res, statusCode, job, options) => {
+  if (wantsJson(req)) {
+    respondJson(res, statusCode, { ok: true, job: serializeJob(job, options) });
     return;
   }
-  respondText(res, 200, formatCommandResult(result));
+  respondText(res, statusCode, formatJob(job, options));
 };
 
-const handleCommandError = (res, scope, error) => {
+const describeCommandJob = (req, context) => {
+  const caller = getCaller(req);
+  const container = context.container || "";
+  return {
+    key: context.commandKey,
+    caller: caller ? caller.name : "",
+    description: `${req.method} ${context.pathname}${container ? ` (${container})` : ""}`,
+  };
+};
+
+const submitCommandJob = (req, res, run) => {
+  const context = getRequestContext(req);
+  const requestFields = buildAuditRequestFields(req, context);
+  const container = context.container || "";
+  const audit = context.audit;
+  const job = jobQueue.submit({
+    ...describeCommandJob(req, context),
+    run,
+    onSettled: (finished) => {
+      if (!audit) {
+        return;
+      }
+      recordAuditEntry(requestFields, container, { ...audit, result: finished.result, error: finished.error }, {
+        statusCode: 202,
+        jobId: finished.id,
+        jobStatus: finished.status,
+      });
+    },
+  });
+  if (audit) {
+    audit.deferred = true;
+  }
+  res.setHeader("Location", `/dockerapi/jobs/${job.id}`);
+  respondJob(req, res, 202, job);
+};
+
+// Runs a command route inline, or as a background job when ?async=1 is set.
+const runCommandRoute = async (req, res, urlObj, run) => {
+  if (isTruthyParam(urlObj.searchParams.get("async"))) {
+    submitCommandJob(req, res, run);
+    return;
+  }
+  // mutating commands share the per-key limit with async jobs, so an inline call waits for a running one
+  const context = getRequestContext(req);
+  const limited = Boolean(context && AUDITED_COMMAND_KEYS.has(context.commandKey));
+  const result = limited ? await jobQueue.runInline({ ...describeCommandJob(req, context), run }) : await run();
+  sendCommandResult(req, res, result);
+};
+
+const handleCommandError = (req, res, scope, error) => {
+  recordAuditResult(req, error && error.result ? error.result : null, error);
   if (error && error.result) {
     logger.error(scope, error, "command failed", {
       command: error.result.command || "",
       code: error.result.code,
     });
-    sendCommandResult(res, error.result);
+    sendCommandResult(req, res, error.result);
+    return;
+  }
+  if (res.headersSent) {
+    logger.error(scope, error, "handler error after response started");
+    res.end();
+    return;
+  }
+  const statusCode = error && Number.isInteger(error.statusCode) ? error.statusCode : 500;
+  if (statusCode >= 500) {
+    logger.error(scope, error, "unexpected handler error");
+  }
+  respondError(req, res, statusCode, `error: ${error && error.message ? error.message : String(error)}`);
+};
+
+const streamCommandToResponse = async (req, res, urlObj, scope, startStream, options = {}) => {
+  const writer = new StreamResponseWriter(res, resolveStreamMode(req, urlObj));
+  const acceptLine = typeof options.filterLine === "function" ? options.filterLine : () => true;
+  const createSplitter = (stream) =>
+    createLineSplitter((line) => {
+      if (acceptLine(line, stream)) {
+        writer.writeLine(stream, line);
+      }
+    });
+  const stdoutLines = createSplitter("stdout");
+  const stderrLines = createSplitter("stderr");
+
+  // registered before the container is resolved so a client leaving meanwhile still stops the command
+  let handle = null;
+  let clientGone = Boolean(req.socket && req.socket.destroyed);
+  res.on("close", () => {
+    clientGone = true;
+    if (handle) {
+      handle.stop("client disconnected");
+    }
+  });
+  // a slow client pauses the command output instead of buffering it in memory
+  const pauseWhenBuffered = () => {
+    if (writer.waitingForDrain && handle && !clientGone) {
+      handle.pause();
+    }
+  };
+  res.on("drain", () => {
+    if (handle) {
+      handle.resume();
+    }
+  });
+
+  handle = await startStream({
+    onStdout: (chunk) => {
+      stdoutLines.push(chunk);
+      pauseWhenBuffered();
+    },
+    onStderr: (chunk) => {
+      stderrLines.push(chunk);
+      pauseWhenBuffered();
+    },
+  });
+  if (clientGone) {
+    handle.stop("client disconnected");
+    await handle.done.catch(() => null);
+    logger.info(scope, "stream aborted before start, client disconnected", { command: handle.command });
     return;
   }
-  logger.error(scope, error, "unexpected handler error");
-  respondText(res, 500, `error: ${error && error.message ? error.message : String(error)}`);
+  writer.start({ command: handle.command });
+  logger.info(scope, "stream started", { command: handle.command });
+
+  try {
+    const result = await handle.done;
+    stdoutLines.flush();
+    stderrLines.flush();
+    logger.info(scope, "stream ended", {
+      command: handle.command,
+      code: result.code,
+      durationMs: result.durationMs,
+      reason: result.stopReason || "process exited",
+    });
+    writer.end({
+      exit: result.code,
+      signal: result.signal,
+      durationMs: result.durationMs,
+      reason: result.stopReason || "process exited",
+    });
+  } catch (error) {
+    logger.error(scope, error, "stream command failed", { command: handle.command });
+    writer.end({ error: error && error.message ? error.message : String(error) });
+  }
 };
 
-const buildHelpText = () => {
-  const safeRows = SAFE_COMMAND_KEYS.map((key) => `${isCommandAllowed(key) ? "[x]" : "[ ]"} ${key}`);
-  const dangerousRows = DANGEROUS_COMMAND_KEYS.map((key) => `${isCommandAllowed(key) ? "[x]" : "[ ]"} ${key}`);
+const SAMPLE_ENDPOINTS = [
+  "GET  /dockerapi/healthz",
+  "GET  /dockerapi/help",
+  "GET  /dockerapi/metrics",
+  "GET  /dockerapi/watchdog",
+  "GET  /dockerapi/tailscale/status",
+  "GET  /dockerapi/tailscale/status?format=json",
+  "POST /dockerapi/tailscale/ping?target=100.x.x.x",
+  "GET  /dockerapi/tailscale/sync/plan",
+  "POST /dockerapi/tailscale/sync?dryRun=1",
+  "GET  /dockerapi/nginx/test",
+  "POST /dockerapi/nginx/reload",
+  "GET  /dockerapi/nginx/version",
+  "GET  /dockerapi/nginx/mirror-rules",
+  "PATCH /dockerapi/nginx/mirror-rules?dryRun=1  {\"excludePaths\":[\"/api/realtime\"],\"samplePercent\":25}",
+  "GET  /dockerapi/nginx/logs/access?tail=200",
+  "GET  /dockerapi/nginx/logs/access?status=5xx&method=POST&since=15m",
+  "GET  /dockerapi/nginx/logs/shadow?follow=1&status=400-599&grep=%2Fapi%2F",
+  "GET  /dockerapi/nginx/shadow-report?since=1h&peer=100.64.0.5",
+  "GET  /dockerapi/upstream",
+  "POST /dockerapi/upstream/promote?peer=100.64.0.5",
+  "POST /dockerapi/upstream/demote?peer=100.64.0.5",
+  "POST /dockerapi/upstream/revert?id=<history id>",
+  "GET  /dockerapi/system/ps",
+  "GET  /dockerapi/system/ps?format=json",
+  "POST /dockerapi/system/prune?scope=all",
+  "POST /dockerapi/system/prune?scope=images&async=1",
+  "GET  /dockerapi/{container}/status",
+  "GET  /dockerapi/{container}/logs?tail=200",
+  "GET  /dockerapi/{container}/logs?follow=1&tail=50",
+  "GET  /dockerapi/{container}/logs?follow=1&format=sse",
+  "GET  /dockerapi/{container}/inspect?format=json",
+  "POST /dockerapi/{container}/restart",
+  "POST /dockerapi/{container}/exec?cmd=ls%20-la",
+  "GET  /dockerapi/compose/services",
+  "POST /dockerapi/compose/pull?service=pocketbase",
+  "POST /dockerapi/compose/recreate?service=pocketbase",
+  "POST /dockerapi/compose/up",
+  "POST /dockerapi/compose/restart?service=nginx",
+  "GET  /dockerapi/updates",
+  "POST /dockerapi/updates?async=1",
+  "POST /dockerapi/pocketbase/upgrade?async=1",
+  "GET  /dockerapi/pocketbase/backups",
+  "POST /dockerapi/pocketbase/backup?mode=pause",
+  "POST /dockerapi/pocketbase/restore?id={backupId}&async=1",
+  "POST /dockerapi/pocketbase/snapshot",
+  "DELETE /dockerapi/pocketbase/snapshot?id={snapshotId}",
+  "GET  /dockerapi/audit?since=12h&key=system.prune",
+  "GET  /dockerapi/audit?container=pocketbase&user=admin&limit=50",
+  "GET  /dockerapi/jobs?status=running",
+  "GET  /dockerapi/jobs/{id}",
+  "DELETE /dockerapi/jobs/{id}",
+];
+
+const buildHelpPayload = (caller) => ({
+  caller: caller ? { name: caller.name, containers: caller.containers } : null,
+  commands: {
+    safe: SAFE_COMMAND_KEYS.map((key) => ({ key, allowed: isCommandAllowed(key, caller) })),
+    dangerous: DANGEROUS_COMMAND_KEYS.map((key) => ({ key, allowed: isCommandAllowed(key, caller) })),
+  },
+  policy: {
+    enableSafeCommands: config.enableSafeCommands,
+    enableDangerousCommands: config.enableDangerousCommands,
+    allowedSafeCommands: config.safeCommandsPolicy.allowAll ? "*" : Array.from(config.safeCommandsPolicy.set),
+    allowedDangerousCommands: config.dangerousCommandsPolicy.allowAll ? "*" : Array.from(config.dangerousCommandsPolicy.set),
+    blockedCommands: Array.from(config.blockedCommands),
+    tokensFile: config.tokensFile,
+  },
+  endpoints: SAMPLE_ENDPOINTS,
+  responseFormat: "append ?format=json or send 'Accept: application/json' for a JSON envelope",
+  asyncJobs: "append ?async=1 to any command route to get 202 + job id, then poll /dockerapi/jobs/{id}",
+});
+
+const buildHelpText = (caller) => {
+  const safeRows = SAFE_COMMAND_KEYS.map((key) => `${isCommandAllowed(key, caller) ? "[x]" : "[ ]"} ${key}`);
+  const dangerousRows = DANGEROUS_COMMAND_KEYS.map((key) => `${isCommandAllowed(key, caller) ? "[x]" : "[ ]"} ${key}`);
   const lines = [
     "docker-manager command groups",
     "",
+    `caller: ${caller ? `${caller.name} (containers: ${caller.containers.length > 0 ? caller.containers.join(",") : "*"})` : "global policy"}`,
+    "",
     "safe commands:",
     ...safeRows,
     "",
@@ -293,66 +902,141 @@ const buildHelpText = () => {
     `DOCKER_MANAGER_ALLOWED_SAFE_COMMANDS=${config.safeCommandsPolicy.allowAll ? "*" : Array.from(config.safeCommandsPolicy.set).join(",")}`,
     `DOCKER_MANAGER_ALLOWED_DANGEROUS_COMMANDS=${config.dangerousCommandsPolicy.allowAll ? "*" : Array.from(config.dangerousCommandsPolicy.set).join(",")}`,
     `DOCKER_MANAGER_BLOCKED_COMMANDS=${Array.from(config.blockedCommands).join(",")}`,
+    `DOCKER_MANAGER_TOKENS_FILE=${config.tokensFile}`,
+    "",
+    "authentication (when DOCKER_MANAGER_TOKENS_FILE is set):",
+    "X-Dockerapi-Token: <token>  or  Authorization: Bearer <token>",
     "",
     "sample endpoints:",
-    "GET  /dockerapi/healthz",
-    "GET  /dockerapi/help",
-    "GET  /dockerapi/tailscale/status",
-    "GET  /dockerapi/tailscale/status?format=json",
-    "POST /dockerapi/tailscale/ping?target=100.x.x.x",
-    "GET  /dockerapi/nginx/test",
-    "POST /dockerapi/nginx/reload",
-    "GET  /dockerapi/nginx/version",
-    "GET  /dockerapi/nginx/logs/access?tail=200",
-    "GET  /dockerapi/system/ps",
-    "POST /dockerapi/system/prune?scope=all",
-    "GET  /dockerapi/{container}/status",
-    "GET  /dockerapi/{container}/logs?tail=200",
-    "POST /dockerapi/{container}/restart",
-    "POST /dockerapi/{container}/exec?cmd=ls%20-la",
+    ...SAMPLE_ENDPOINTS,
+    "",
+    "response format:",
+    "append ?format=json or send 'Accept: application/json' for a JSON envelope",
+    "{ ok, command, code, signal, durationMs, stdout, stderr, data }",
+    "",
+    "async jobs:",
+    "append ?async=1 to any command route to get 202 + job id, then poll /dockerapi/jobs/{id}",
   ];
   return lines.join("\n");
 };
 
-const runScheduledSync = async (source) => {
-  if (!config.tailscaleSyncEnabled) {
-    return;
-  }
-  if (runtimeState.sync.inProgress) {
-    logger.warn("tailscale-sync", "skip sync cycle because previous cycle is still running", { source });
-    return;
-  }
+const buildShadowSyncOptions = () => ({
+  dockerClient,
+  config,
+  logger,
+  discovery: peerDiscovery,
+  prober: shadowProber,
+  mainHosts: mainUpstream.currentHosts(),
+});
 
+const runShadowSyncLocked = async (source) => {
   runtimeState.sync.inProgress = true;
   runtimeState.sync.lastRunAt = new Date().toISOString();
   runtimeState.sync.totalRuns += 1;
+  const startedAt = Date.now();
   try {
-    const result = await runTailscaleShadowSync({
-      dockerClient,
-      config,
-      logger,
-    });
-    runtimeState.sync.lastResult = result;
+    const result = await runTailscaleShadowSync(buildShadowSyncOptions());
+    // rendered file contents stay out of healthz
+    runtimeState.sync.lastResult = {
+      ...result,
+      groups: result.groups.map(({ files, ...group }) => group),
+      nginxFiles: result.nginxFiles.map((item) => ({ file: item.file, action: item.action })),
+    };
     runtimeState.sync.lastSuccessAt = new Date().toISOString();
     runtimeState.sync.lastError = "";
+    syncMetrics.runs.inc({ source, outcome: "success" });
+    syncMetrics.lastSuccess.set({}, Date.now() / 1000);
+    return result;
   } catch (error) {
     runtimeState.sync.totalFailures += 1;
     runtimeState.sync.lastError = error && error.message ? error.message : String(error);
-    logger.error("tailscale-sync", error, "periodic sync failed", { source });
+    syncMetrics.runs.inc({ source, outcome: "failure" });
+    logger.error("tailscale-sync", error, `${source} sync failed`, { source });
+    throw error;
   } finally {
     runtimeState.sync.inProgress = false;
+    syncMetrics.duration.observe({}, (Date.now() - startedAt) / 1000);
   }
 };
 
+// the whole run holds the nginx lock: the main upstream hosts it excludes must not change before it writes
+const runShadowSync = (source) => nginxLock.run("tailscale sync", () => runShadowSyncLocked(source));
+
+const runScheduledSync = async (source) => {
+  if (!config.tailscaleSyncEnabled) {
+    return;
+  }
+  if (nginxLock.busy) {
+    logger.warn("tailscale-sync", `skip sync cycle because ${nginxLock.holder} is still running`, { source });
+    return;
+  }
+  try {
+    await runShadowSync(source);
+  } catch (error) {
+    // already counted and logged by runShadowSync
+  }
+};
+
+const formatFileDiffs = (lines, files) => {
+  for (const item of files) {
+    lines.push("", `--- ${item.file} (${item.action})`);
+    if (item.action === "update") {
+      lines.push(`- ${normalizeValue(item.previousContent)}`, `+ ${normalizeValue(item.content)}`);
+    } else if (item.content !== null) {
+      lines.push(normalizeValue(item.content));
+    }
+  }
+};
+
+const formatSyncResult = (result) => {
+  const lines = [`changed=${result.changed ? "1" : "0"}`, `applied=${result.applied ? "1" : "0"}`, `dryRun=${result.dryRun ? "1" : "0"}`];
+  for (const item of result.discovery) {
+    lines.push(`discovery ${item.provider} ${item.ok ? `ok peers=${item.count}` : `failed: ${item.error}`} (${item.durationMs}ms)`);
+  }
+  for (const item of result.probes) {
+    lines.push(`probe ${item.key} ${item.url} ${item.ok ? "ok" : "failed"} healthy=${item.healthy ? "1" : "0"}: ${item.detail}`);
+  }
+  for (const group of result.groups) {
+    lines.push(
+      "",
+      `# group ${group.name}${group.enabled ? "" : " (disabled)"} port=${group.port} dir=${group.dir}`,
+      `previousIps=${group.previousIps.join(",")}`,
+      `nextIps=${group.nextIps.join(",")}`,
+      `added=${group.added.join(",")}`,
+      `removed=${group.removed.join(",")}`,
+      `updated=${group.updated.join(",")}`,
+    );
+    for (const item of group.skipped) {
+      lines.push(`skipped ${item.host || "-"} (${item.ips.join(",") || "no ip"}): ${item.reason}`);
+    }
+    formatFileDiffs(lines, group.files);
+  }
+  const nginxFiles = result.nginxFiles.filter((item) => item.action !== "keep");
+  if (nginxFiles.length > 0) {
+    lines.push("", "# generated nginx files");
+    formatFileDiffs(lines, nginxFiles);
+  }
+  return lines.join("\n");
+};
+
+const respondSyncResult = (req, res, result) => {
+  if (wantsJson(req)) {
+    respondJson(res, 200, { ok: true, ...result });
+    return;
+  }
+  respondText(res, 200, formatSyncResult(result));
+};
+
 const handleSystemRoute = async (req, res, urlObj, commandName) => {
+  const asJson = wantsJson(req);
   const safeMap = {
-    ps: { key: "system.ps", fn: () => dockerClient.systemCommand("ps") },
-    containers: { key: "system.ps", fn: () => dockerClient.systemCommand("ps") },
-    images: { key: "system.images", fn: () => dockerClient.systemCommand("images") },
-    networks: { key: "system.networks", fn: () => dockerClient.systemCommand("networks") },
-    volumes: { key: "system.volumes", fn: () => dockerClient.systemCommand("volumes") },
-    info: { key: "system.info", fn: () => dockerClient.systemCommand("info") },
-    version: { key: "system.version", fn: () => dockerClient.systemCommand("version") },
+    ps: { key: "system.ps", fn: () => dockerClient.systemCommand("ps", { asJson }) },
+    containers: { key: "system.ps", fn: () => dockerClient.systemCommand("ps", { asJson }) },
+    images: { key: "system.images", fn: () => dockerClient.systemCommand("images", { asJson }) },
+    networks: { key: "system.networks", fn: () => dockerClient.systemCommand("networks", { asJson }) },
+    volumes: { key: "system.volumes", fn: () => dockerClient.systemCommand("volumes", { asJson }) },
+    info: { key: "system.info", fn: () => dockerClient.systemCommand("info", { asJson }) },
+    version: { key: "system.version", fn: () => dockerClient.systemCommand("version", { asJson }) },
   };
   const dangerousMap = {
     prune: {
@@ -361,11 +1045,7 @@ const handleSystemRoute = async (req, res, urlObj, commandName) => {
     },
     raw: {
       key: "system.raw",
-      fn: async () => {
-        const body = await parseRequestBody(req, config.requestBodyLimitBytes);
-        const args = collectArgs(urlObj, body);
-        return dockerClient.systemRaw(args);
-      },
+      fn: (body) => dockerClient.systemRaw(collectArgs(urlObj, body)),
     },
   };
 
@@ -374,11 +1054,10 @@ const handleSystemRoute = async (req, res, urlObj, commandName) => {
       return;
     }
     const command = safeMap[commandName];
-    if (!requirePermission(res, command.key)) {
+    if (!requirePermission(req, res, command.key)) {
       return;
     }
-    const result = await command.fn();
-    sendCommandResult(res, result);
+    await runCommandRoute(req, res, urlObj, command.fn);
     return;
   }
 
@@ -387,22 +1066,68 @@ const handleSystemRoute = async (req, res, urlObj, commandName) => {
       return;
     }
     const command = dangerousMap[commandName];
-    if (!requirePermission(res, command.key)) {
+    if (!requirePermission(req, res, command.key)) {
       return;
     }
-    const result = await command.fn();
-    sendCommandResult(res, result);
+    // read the body before responding so async jobs do not touch the request later
+    const body = await parseRequestBody(req, config.requestBodyLimitBytes);
+    await runCommandRoute(req, res, urlObj, () => command.fn(body));
     return;
   }
 
-  respondText(res, 404, `unsupported system command: ${commandName}`);
+  respondError(req, res, 404, `unsupported system command: ${commandName}`);
 };
 
-const handleContainerRoute = async (req, res, urlObj, containerName, actionName) => {
+const handleComposeRoute = async (req, res, urlObj, actionName) => {
+  if (actionName === "services" || actionName === "ps") {
+    if (!ensureMethod(req, res, ["GET"])) {
+      return;
+    }
+    if (!(await requireContainerAccess(req, res, "*"))) {
+      return;
+    }
+    if (!requirePermission(req, res, "compose.services")) {
+      return;
+    }
+    await runCommandRoute(req, res, urlObj, () => dockerClient.composeServices());
+    return;
+  }
+
+  if (!["up", "pull", "recreate", "restart"].includes(actionName)) {
+    respondError(req, res, 404, `unsupported compose action: ${actionName}`);
+    return;
+  }
+  if (!ensureMethod(req, res, ["POST"])) {
+    return;
+  }
+  const body = await parseRequestBody(req, config.requestBodyLimitBytes);
+  const service = normalizeValue(urlObj.searchParams.get("service")) || normalizeValue(body.json && body.json.service);
+  // whole-stack operations are recorded as "*" so scoped tokens cannot run them
+  if (!(await requireContainerAccess(req, res, service || "*", { resolve: false }))) {
+    return;
+  }
+  if (!requirePermission(req, res, `compose.${actionName}`)) {
+    return;
+  }
+  await runCommandRoute(req, res, urlObj, () => dockerClient.composeAction(actionName, service));
+};
+
+// tells the watchdog before the command runs, so a check in between does not count the stop as a failure
+const mutateContainer = async (containerName, command) => {
+  const names = await dockerClient.containerScopeNames(containerName).catch(() => [containerName]);
+  watchdog.holdForOperator([containerName, ...names], command);
+  return dockerClient.containerMutate(containerName, command);
+};
+
+const handleContainerRoute = async (req, res, urlObj, containerName, actionName, scope) => {
+  if (!(await requireContainerAccess(req, res, containerName))) {
+    return;
+  }
+  const asJson = wantsJson(req);
   const safeReadonlyActions = {
     status: {
       key: "container.status",
-      fn: () => dockerClient.containerStatus(containerName),
+      fn: () => dockerClient.containerStatus(containerName, { asJson }),
       methods: ["GET"],
     },
     logs: {
@@ -417,7 +1142,7 @@ const handleContainerRoute = async (req, res, urlObj, containerName, actionName)
     },
     inspect: {
       key: "container.inspect",
-      fn: () => dockerClient.containerInspect(containerName),
+      fn: () => dockerClient.containerInspect(containerName, { asJson }),
       methods: ["GET"],
     },
     top: {
@@ -427,7 +1152,7 @@ const handleContainerRoute = async (req, res, urlObj, containerName, actionName)
     },
     stats: {
       key: "container.stats",
-      fn: () => dockerClient.containerStats(containerName),
+      fn: () => dockerClient.containerStats(containerName, { asJson }),
       methods: ["GET"],
     },
   };
@@ -445,16 +1170,33 @@ const handleContainerRoute = async (req, res, urlObj, containerName, actionName)
     rm: { key: "container.rm", command: "rm", methods: ["POST"] },
   };
 
+  if (actionName === "logs" && isTruthyParam(urlObj.searchParams.get("follow"))) {
+    if (!ensureMethod(req, res, ["GET"])) {
+      return;
+    }
+    if (!requirePermission(req, res, "container.logs")) {
+      return;
+    }
+    await streamCommandToResponse(req, res, urlObj, scope, (handlers) =>
+      dockerClient.followContainerLogs(containerName, {
+        tail: urlObj.searchParams.get("tail"),
+        since: urlObj.searchParams.get("since"),
+        timestamps: urlObj.searchParams.get("timestamps"),
+        ...handlers,
+      }),
+    );
+    return;
+  }
+
   if (safeReadonlyActions[actionName]) {
     const action = safeReadonlyActions[actionName];
     if (!ensureMethod(req, res, action.methods)) {
       return;
     }
-    if (!requirePermission(res, action.key)) {
+    if (!requirePermission(req, res, action.key)) {
       return;
     }
-    const result = await action.fn();
-    sendCommandResult(res, result);
+    await runCommandRoute(req, res, urlObj, action.fn);
     return;
   }
 
@@ -463,11 +1205,10 @@ const handleContainerRoute = async (req, res, urlObj, containerName, actionName)
     if (!ensureMethod(req, res, action.methods)) {
       return;
     }
-    if (!requirePermission(res, action.key)) {
+    if (!requirePermission(req, res, action.key)) {
       return;
     }
-    const result = await dockerClient.containerMutate(containerName, action.command);
-    sendCommandResult(res, result);
+    await runCommandRoute(req, res, urlObj, () => mutateContainer(containerName, action.command));
     return;
   }
 
@@ -476,11 +1217,21 @@ const handleContainerRoute = async (req, res, urlObj, containerName, actionName)
     if (!ensureMethod(req, res, action.methods)) {
       return;
     }
-    if (!requirePermission(res, action.key)) {
+    if (!requirePermission(req, res, action.key)) {
+      return;
+    }
+    await runCommandRoute(req, res, urlObj, () => mutateContainer(containerName, action.command));
+    return;
+  }
+
+  if (actionName === "upgrade") {
+    if (!ensureMethod(req, res, ["POST"])) {
+      return;
+    }
+    if (!requirePermission(req, res, "compose.upgrade")) {
       return;
     }
-    const result = await dockerClient.containerMutate(containerName, action.command);
-    sendCommandResult(res, result);
+    await runCommandRoute(req, res, urlObj, () => upgradeComposeService({ dockerClient, config, logger, watchdog, service: containerName }));
     return;
   }
 
@@ -488,14 +1239,13 @@ const handleContainerRoute = async (req, res, urlObj, containerName, actionName)
     if (!ensureMethod(req, res, ["POST"])) {
       return;
     }
-    if (!requirePermission(res, "container.exec")) {
+    if (!requirePermission(req, res, "container.exec")) {
       return;
     }
     const body = await parseRequestBody(req, config.requestBodyLimitBytes);
     const commandText = collectCommandText(urlObj, body);
     const shell = normalizeValue(urlObj.searchParams.get("shell")) || config.execShell;
-    const result = await dockerClient.containerExec(containerName, shell, commandText);
-    sendCommandResult(res, result);
+    await runCommandRoute(req, res, urlObj, () => dockerClient.containerExec(containerName, shell, commandText));
     return;
   }
 
@@ -503,13 +1253,12 @@ const handleContainerRoute = async (req, res, urlObj, containerName, actionName)
     if (!ensureMethod(req, res, ["POST"])) {
       return;
     }
-    if (!requirePermission(res, "container.rename")) {
+    if (!requirePermission(req, res, "container.rename")) {
       return;
     }
     const body = await parseRequestBody(req, config.requestBodyLimitBytes);
     const toName = normalizeValue(urlObj.searchParams.get("to")) || normalizeValue(body.json && body.json.to);
-    const result = await dockerClient.containerRename(containerName, toName);
-    sendCommandResult(res, result);
+    await runCommandRoute(req, res, urlObj, () => dockerClient.containerRename(containerName, toName));
     return;
   }
 
@@ -517,13 +1266,12 @@ const handleContainerRoute = async (req, res, urlObj, containerName, actionName)
     if (!ensureMethod(req, res, ["POST"])) {
       return;
     }
-    if (!requirePermission(res, "container.update")) {
+    if (!requirePermission(req, res, "container.update")) {
       return;
     }
     const body = await parseRequestBody(req, config.requestBodyLimitBytes);
     const args = collectArgs(urlObj, body);
-    const result = await dockerClient.containerUpdate(containerName, args);
-    sendCommandResult(res, result);
+    await runCommandRoute(req, res, urlObj, () => dockerClient.containerUpdate(containerName, args));
     return;
   }
 
@@ -531,21 +1279,21 @@ const handleContainerRoute = async (req, res, urlObj, containerName, actionName)
     if (!ensureMethod(req, res, ["POST"])) {
       return;
     }
-    if (!requirePermission(res, "container.raw")) {
+    if (!requirePermission(req, res, "container.raw")) {
       return;
     }
     const body = await parseRequestBody(req, config.requestBodyLimitBytes);
     const args = collectArgs(urlObj, body);
-    const result = await dockerClient.containerRaw(containerName, args);
-    sendCommandResult(res, result);
+    await runCommandRoute(req, res, urlObj, () => dockerClient.containerRaw(containerName, args));
     return;
   }
 
-  respondText(res, 404, `unsupported container action: ${actionName}`);
+  respondError(req, res, 404, `unsupported container action: ${actionName}`);
 };
 
 const requestHandler = async (req, res) => {
   runtimeState.requestCount += 1;
+  const requestStartedAt = Date.now();
   const requestId = `${Date.now()}-${runtimeState.requestCount}`;
   const scope = `http:${requestId}`;
 
@@ -554,32 +1302,63 @@ const requestHandler = async (req, res) => {
     const host = req.headers.host || `127.0.0.1:${config.port}`;
     urlObj = new URL(req.url, `http://${host}`);
   } catch (error) {
-    respondText(res, 400, "invalid request url");
+    respondError(req, res, 400, "invalid request url");
     return;
   }
 
   const pathname = urlObj.pathname;
+  const caller = tokenStore.isEnabled() ? tokenStore.authenticate(readPresentedToken(req)) : null;
+  requestContexts.set(req, {
+    requestId,
+    pathname,
+    caller,
+    commandKey: "",
+    container: "",
+    audit: null,
+  });
+  res.once("close", () => {
+    observeRequest(req, res, requestStartedAt);
+  });
   logger.request(scope, {
     method: req.method,
     path: pathname,
     query: urlObj.search,
     remoteAddress: req.socket.remoteAddress || "",
+    caller: caller ? caller.name : "",
   });
 
   if (!pathname.startsWith("/dockerapi")) {
-    respondText(res, 404, "not found");
+    respondError(req, res, 404, "not found");
     return;
   }
 
+  if (tokenStore.isEnabled()) {
+    if (!caller) {
+      httpMetrics.authFailures.inc();
+      res.setHeader("WWW-Authenticate", 'Bearer realm="dockerapi"');
+      respondError(req, res, 401, "missing or invalid dockerapi token");
+      return;
+    }
+  }
+
   try {
+    const routeContainer = describeRouteContainer(pathname);
+    if (routeContainer && !(await requireContainerAccess(req, res, routeContainer))) {
+      return;
+    }
+
     if (pathname === "/dockerapi" || pathname === "/dockerapi/") {
       if (!ensureMethod(req, res, ["GET"])) {
         return;
       }
-      if (!requirePermission(res, "help")) {
+      if (!requirePermission(req, res, "help")) {
+        return;
+      }
+      if (wantsJson(req)) {
+        respondJson(res, 200, buildHelpPayload(getCaller(req)));
         return;
       }
-      respondText(res, 200, buildHelpText());
+      respondText(res, 200, buildHelpText(getCaller(req)));
       return;
     }
 
@@ -587,10 +1366,14 @@ const requestHandler = async (req, res) => {
       if (!ensureMethod(req, res, ["GET"])) {
         return;
       }
-      if (!requirePermission(res, "help")) {
+      if (!requirePermission(req, res, "help")) {
         return;
       }
-      respondText(res, 200, buildHelpText());
+      if (wantsJson(req)) {
+        respondJson(res, 200, buildHelpPayload(getCaller(req)));
+        return;
+      }
+      respondText(res, 200, buildHelpText(getCaller(req)));
       return;
     }
 
@@ -598,9 +1381,21 @@ const requestHandler = async (req, res) => {
       if (!ensureMethod(req, res, ["GET"])) {
         return;
       }
-      if (!requirePermission(res, "healthz")) {
+      if (!requirePermission(req, res, "healthz")) {
+        return;
+      }
+      if (wantsJson(req)) {
+        respondJson(res, 200, {
+          status: "ok",
+          startedAt: runtimeState.startedAt,
+          requestCount: runtimeState.requestCount,
+          sync: { ...runtimeState.sync, watch: tailscaleWatcher.getState() },
+          watchdog: watchdog.getState(),
+        });
         return;
       }
+      const watchdogState = watchdog.getState();
+      const unhealthy = watchdogState.containers.filter((item) => item.healthy === false).map((item) => item.name);
       respondText(
         res,
         200,
@@ -609,38 +1404,219 @@ const requestHandler = async (req, res) => {
           `startedAt=${runtimeState.startedAt}`,
           `requestCount=${runtimeState.requestCount}`,
           `tailscaleSyncEnabled=${runtimeState.sync.enabled ? "1" : "0"}`,
+          `tailscaleSyncMode=${runtimeState.sync.mode}`,
+          `tailscaleWatchConnected=${tailscaleWatcher.connected ? "1" : "0"}`,
           `tailscaleSyncInProgress=${runtimeState.sync.inProgress ? "1" : "0"}`,
           `tailscaleSyncLastRunAt=${runtimeState.sync.lastRunAt || ""}`,
           `tailscaleSyncLastSuccessAt=${runtimeState.sync.lastSuccessAt || ""}`,
           `tailscaleSyncTotalRuns=${runtimeState.sync.totalRuns}`,
           `tailscaleSyncTotalFailures=${runtimeState.sync.totalFailures}`,
           `tailscaleSyncLastError=${runtimeState.sync.lastError || ""}`,
+          `watchdogEnabled=${watchdogState.enabled ? "1" : "0"}`,
+          `watchdogLastRunAt=${watchdogState.lastRunAt || ""}`,
+          `watchdogUnhealthy=${unhealthy.join(",")}`,
         ].join("\n"),
       );
       return;
     }
 
+    if (pathname === "/dockerapi/watchdog") {
+      if (!ensureMethod(req, res, ["GET"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "watchdog.read")) {
+        return;
+      }
+      const state = watchdog.getState();
+      const history = watchdog.getHistory(parsePositiveInt(urlObj.searchParams.get("limit"), 50, { min: 1, max: 100 }));
+      if (wantsJson(req)) {
+        respondJson(res, 200, { ok: true, ...state, history });
+        return;
+      }
+      const lines = [
+        `enabled=${state.enabled ? "1" : "0"}`,
+        `lastRunAt=${state.lastRunAt || ""}`,
+        `totalRuns=${state.totalRuns}`,
+        `policy: failures>=${state.policy.failureThreshold} backoff=${state.policy.backoffSec}s..${state.policy.maxBackoffSec}s max=${state.policy.maxRestarts}/${state.policy.restartWindowSec}s`,
+        "",
+        "containers:",
+        ...state.containers.map((item) =>
+          [
+            item.name,
+            `healthy=${item.healthy === null ? "-" : item.healthy ? "1" : "0"}`,
+            `state=${item.state || "-"}`,
+            `failures=${item.consecutiveFailures}`,
+            `restarts=${item.restartsInWindow}`,
+            `nextRestartAt=${item.nextRestartAt || "-"}`,
+            item.suppressed ? "suppressed=1" : "",
+            item.maintenance ? `maintenance=${item.maintenance}` : "",
+            `detail=${item.detail || "-"}`,
+          ]
+            .filter(Boolean)
+            .join(" "),
+        ),
+        "",
+        "history:",
+        ...(history.length > 0 ? history.map((item) => `${item.ts} ${item.container} ${item.event} ${item.detail}`) : ["(empty)"]),
+      ];
+      respondText(res, 200, lines.join("\n"));
+      return;
+    }
+
+    // GET only compares local images; POST pulls first, so a crawler or prefetch cannot trigger pulls
+    if (pathname === "/dockerapi/updates") {
+      if (!ensureMethod(req, res, ["GET", "POST"])) {
+        return;
+      }
+      const pull = req.method === "POST";
+      if (!pull && isTruthyParam(urlObj.searchParams.get("pull"))) {
+        respondError(req, res, 405, "pulling moved to POST /dockerapi/updates");
+        return;
+      }
+      if (pull && !requirePermission(req, res, "compose.pull")) {
+        return;
+      }
+      if (!requirePermission(req, res, "updates.read")) {
+        return;
+      }
+      await runCommandRoute(req, res, urlObj, () => checkImageUpdates({ dockerClient, pull }));
+      return;
+    }
+
+    if (pathname === "/dockerapi/pocketbase/backups") {
+      if (!ensureMethod(req, res, ["GET"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "backup.read")) {
+        return;
+      }
+      const backups = await pocketbaseBackups.list();
+      if (wantsJson(req)) {
+        respondJson(res, 200, {
+          ok: true,
+          count: backups.length,
+          retention: config.backupRetention,
+          backupDir: config.backupDir,
+          backups,
+        });
+        return;
+      }
+      const lines = backups.map((item) =>
+        [
+          item.id,
+          `createdAt=${item.createdAt}`,
+          `reason=${item.reason}`,
+          `sizeBytes=${item.sizeBytes}`,
+          `sha256=${item.sha256}`,
+          `image=${item.image || "-"}`,
+          `digest=${item.imageDigest || "-"}`,
+        ].join(" "),
+      );
+      respondText(res, 200, lines.length > 0 ? lines.join("\n") : "no backups");
+      return;
+    }
+
+    if (pathname === "/dockerapi/pocketbase/backup") {
+      if (!ensureMethod(req, res, ["POST"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "backup.create")) {
+        return;
+      }
+      const mode = pocketbaseBackups.assertMode(urlObj.searchParams.get("mode"));
+      await runCommandRoute(req, res, urlObj, () => pocketbaseBackups.create({ mode }));
+      return;
+    }
+
+    if (pathname === "/dockerapi/pocketbase/restore") {
+      if (!ensureMethod(req, res, ["POST"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "backup.restore")) {
+        return;
+      }
+      const body = await parseRequestBody(req, config.requestBodyLimitBytes);
+      const backupId = pocketbaseBackups.assertBackupId(urlObj.searchParams.get("id") || (body.json && body.json.id));
+      await runCommandRoute(req, res, urlObj, () => pocketbaseBackups.restore(backupId));
+      return;
+    }
+
+    // consistent sqlite copies for pull-data on another runner (nginx exposes this as /pull-data/snapshot)
+    if (pathname === "/dockerapi/pocketbase/snapshot") {
+      if (!ensureMethod(req, res, ["POST", "DELETE"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "backup.snapshot")) {
+        return;
+      }
+      if (req.method === "DELETE") {
+        const snapshotId = pocketbaseBackups.assertBackupId(urlObj.searchParams.get("id"));
+        await runCommandRoute(req, res, urlObj, () => pocketbaseBackups.removePullSnapshot(snapshotId));
+        return;
+      }
+      await runCommandRoute(req, res, urlObj, () => pocketbaseBackups.createPullSnapshot());
+      return;
+    }
+
+    if (pathname === "/dockerapi/metrics") {
+      if (!ensureMethod(req, res, ["GET"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "metrics")) {
+        return;
+      }
+      respondText(res, 200, metrics.render(), { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      return;
+    }
+
     if (pathname === "/dockerapi/tailscale/status") {
       if (!ensureMethod(req, res, ["GET"])) {
         return;
       }
-      if (!requirePermission(res, "tailscale.status")) {
+      if (!requirePermission(req, res, "tailscale.status")) {
         return;
       }
-      const format = normalizeValue(urlObj.searchParams.get("format")).toLowerCase();
-      const asJson = format === "json";
-      const result = await dockerClient.tailscaleStatus({ asJson });
-      if (asJson) {
-        const jsonText = normalizeValue(result.stdout) || "{}";
-        try {
-          const parsed = JSON.parse(jsonText);
-          respondJson(res, 200, parsed);
-        } catch (error) {
-          respondText(res, 500, formatCommandResult(result));
+      const asJson = wantsJson(req);
+      if (asJson && !isTruthyParam(urlObj.searchParams.get("async"))) {
+        // existing consumers read the bare `tailscale status --json` object, not the command envelope
+        const result = await dockerClient.tailscaleStatus({ asJson });
+        recordAuditResult(req, result);
+        if (!result.data || Array.isArray(result.data)) {
+          respondError(req, res, 500, "tailscale status --json did not return a JSON object");
+          return;
         }
+        respondJson(res, 200, result.data);
+        return;
+      }
+      await runCommandRoute(req, res, urlObj, () => dockerClient.tailscaleStatus({ asJson }));
+      return;
+    }
+
+    if (pathname === "/dockerapi/tailscale/sync/plan") {
+      if (!ensureMethod(req, res, ["GET"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "tailscale.sync.plan")) {
+        return;
+      }
+      respondSyncResult(req, res, await runTailscaleShadowSync({ ...buildShadowSyncOptions(), dryRun: true }));
+      return;
+    }
+
+    if (pathname === "/dockerapi/tailscale/sync") {
+      if (!ensureMethod(req, res, ["POST"])) {
+        return;
+      }
+      const body = await parseRequestBody(req, config.requestBodyLimitBytes);
+      const dryRun = isTruthyParam(urlObj.searchParams.get("dryRun")) || Boolean(body.json && isTruthyParam(body.json.dryRun));
+      if (!requirePermission(req, res, dryRun ? "tailscale.sync.plan" : "tailscale.sync")) {
+        return;
+      }
+      if (dryRun) {
+        respondSyncResult(req, res, await runTailscaleShadowSync({ ...buildShadowSyncOptions(), dryRun: true }));
         return;
       }
-      sendCommandResult(res, result);
+      respondSyncResult(req, res, await runShadowSync("manual"));
       return;
     }
 
@@ -648,15 +1624,14 @@ const requestHandler = async (req, res) => {
       if (!ensureMethod(req, res, ["POST"])) {
         return;
       }
-      if (!requirePermission(res, "tailscale.ping")) {
+      if (!requirePermission(req, res, "tailscale.ping")) {
         return;
       }
       const body = await parseRequestBody(req, config.requestBodyLimitBytes);
       const target =
         normalizeValue(urlObj.searchParams.get("target")) || normalizeValue(body.json && body.json.target) || normalizeValue(body.text);
       const count = normalizeValue(urlObj.searchParams.get("count")) || normalizeValue(body.json && body.json.count);
-      const result = await dockerClient.tailscalePing(target, count);
-      sendCommandResult(res, result);
+      await runCommandRoute(req, res, urlObj, () => dockerClient.tailscalePing(target, count));
       return;
     }
 
@@ -664,11 +1639,10 @@ const requestHandler = async (req, res) => {
       if (!ensureMethod(req, res, ["GET"])) {
         return;
       }
-      if (!requirePermission(res, "tailscale.ip")) {
+      if (!requirePermission(req, res, "tailscale.ip")) {
         return;
       }
-      const result = await dockerClient.tailscaleIp();
-      sendCommandResult(res, result);
+      await runCommandRoute(req, res, urlObj, () => dockerClient.tailscaleIp());
       return;
     }
 
@@ -676,11 +1650,10 @@ const requestHandler = async (req, res) => {
       if (!ensureMethod(req, res, ["GET"])) {
         return;
       }
-      if (!requirePermission(res, "nginx.test")) {
+      if (!requirePermission(req, res, "nginx.test")) {
         return;
       }
-      const result = await dockerClient.nginxTest();
-      sendCommandResult(res, result);
+      await runCommandRoute(req, res, urlObj, () => dockerClient.nginxTest());
       return;
     }
 
@@ -688,11 +1661,10 @@ const requestHandler = async (req, res) => {
       if (!ensureMethod(req, res, ["POST"])) {
         return;
       }
-      if (!requirePermission(res, "nginx.reload")) {
+      if (!requirePermission(req, res, "nginx.reload")) {
         return;
       }
-      const result = await dockerClient.nginxReload();
-      sendCommandResult(res, result);
+      await runCommandRoute(req, res, urlObj, () => dockerClient.nginxReload());
       return;
     }
 
@@ -700,11 +1672,149 @@ const requestHandler = async (req, res) => {
       if (!ensureMethod(req, res, ["GET"])) {
         return;
       }
-      if (!requirePermission(res, "nginx.version")) {
+      if (!requirePermission(req, res, "nginx.version")) {
         return;
       }
-      const result = await dockerClient.nginxVersion();
-      sendCommandResult(res, result);
+      await runCommandRoute(req, res, urlObj, () => dockerClient.nginxVersion());
+      return;
+    }
+
+    if (pathname === "/dockerapi/nginx/mirror-rules") {
+      if (!ensureMethod(req, res, ["GET", "PUT", "PATCH"])) {
+        return;
+      }
+      if (req.method === "GET") {
+        if (!requirePermission(req, res, "nginx.mirror.read")) {
+          return;
+        }
+        const state = mirrorRules.describe();
+        if (wantsJson(req)) {
+          respondJson(res, 200, { ok: true, ...state });
+          return;
+        }
+        const lines = [`path=${state.path}`, `inSync=${state.inSync ? "1" : "0"}`, `rules=${JSON.stringify(state.rules)}`, ""];
+        respondText(res, 200, `${lines.join("\n")}${state.rendered}`);
+        return;
+      }
+      if (!requirePermission(req, res, "nginx.mirror.write")) {
+        return;
+      }
+      const body = await parseRequestBody(req, config.requestBodyLimitBytes);
+      if (!body.json) {
+        respondError(req, res, 400, "mirror rules must be sent as a JSON body");
+        return;
+      }
+      const options = { merge: req.method === "PATCH", dryRun: isTruthyParam(urlObj.searchParams.get("dryRun")) };
+      await runCommandRoute(req, res, urlObj, () => mirrorRules.apply(body.json, options));
+      return;
+    }
+
+    if (pathname === "/dockerapi/nginx/shadow-report") {
+      if (!ensureMethod(req, res, ["GET"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "nginx.shadow.report")) {
+        return;
+      }
+      const tail = parsePositiveInt(urlObj.searchParams.get("tail"), config.maxLogLines, { min: 1, max: config.maxLogLines });
+      const since = parseTimeBound(urlObj.searchParams.get("since") || "1h", "since");
+      const until = parseTimeBound(urlObj.searchParams.get("until"), "until");
+      const logs = {};
+      for (const logType of ["access", "shadow"]) {
+        const result = await dockerClient.nginxLogs(logType, tail);
+        if (result.code !== 0) {
+          respondError(req, res, 502, `cannot read nginx ${logType} log: ${normalizeValue(result.stderr) || `exit ${result.code}`}`);
+          return;
+        }
+        logs[logType] = String(result.stdout || "").split(/\r?\n/g).filter(Boolean);
+      }
+      // a full tail means older lines were left out; the report narrows its window to what both logs cover
+      const report = buildShadowDiffReport({
+        accessLines: logs.access,
+        shadowLines: logs.shadow,
+        accessTruncated: logs.access.length >= tail,
+        shadowTruncated: logs.shadow.length >= tail,
+        since,
+        until,
+        peer: normalizeValue(urlObj.searchParams.get("peer")),
+        limit: parsePositiveInt(urlObj.searchParams.get("limit"), 50, { min: 1, max: 1000 }),
+      });
+      if (wantsJson(req)) {
+        respondJson(res, 200, { ok: true, ...report });
+        return;
+      }
+      respondText(res, 200, formatShadowDiffReport(report));
+      return;
+    }
+
+    if (pathname === "/dockerapi/upstream") {
+      if (!ensureMethod(req, res, ["GET"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "upstream.read")) {
+        return;
+      }
+      const state = mainUpstream.describe({
+        limit: parsePositiveInt(urlObj.searchParams.get("limit"), 20, { min: 1, max: 100 }),
+      });
+      if (wantsJson(req)) {
+        respondJson(res, 200, { ok: true, ...state });
+        return;
+      }
+      const lines = [
+        `path=${state.path}`,
+        `managed=${state.managed ? "1" : "0"}`,
+        "",
+        ...state.servers.map((server) => `${server.backup ? "backup " : "primary"} ${[server.address, ...server.params].join(" ")}`),
+        "",
+        "# history (newest first)",
+        ...state.history.map((entry) =>
+          [
+            entry.id,
+            entry.at,
+            entry.action,
+            entry.peer || "-",
+            entry.status,
+            entry.revertOf ? `revertOf=${entry.revertOf}` : "",
+            entry.revertedBy ? `revertedBy=${entry.revertedBy}` : "",
+            entry.actor ? `by=${entry.actor}` : "",
+          ]
+            .filter(Boolean)
+            .join(" "),
+        ),
+      ];
+      respondText(res, 200, `${lines.join("\n")}\n`);
+      return;
+    }
+
+    const upstreamActionMatch = pathname.match(/^\/dockerapi\/upstream\/(promote|demote|revert)$/);
+    if (upstreamActionMatch) {
+      if (!ensureMethod(req, res, ["POST"])) {
+        return;
+      }
+      const action = upstreamActionMatch[1];
+      if (!requirePermission(req, res, `upstream.${action}`)) {
+        return;
+      }
+      const body = await parseRequestBody(req, config.requestBodyLimitBytes);
+      const readParam = (name) => normalizeValue(urlObj.searchParams.get(name) || (body.json && body.json[name]));
+      const context = getRequestContext(req);
+      const actor = (context && context.caller ? context.caller.name : "") || readTrustedHeader(req, "x-remote-user");
+      const port = readParam("port");
+      const portNumber = Number.parseInt(port, 10);
+      if (port && (!/^\d+$/.test(port) || portNumber < 1 || portNumber > 65535)) {
+        respondError(req, res, 400, `invalid port: ${port}`);
+        return;
+      }
+      await runCommandRoute(req, res, urlObj, () => {
+        if (action === "promote") {
+          return mainUpstream.promote({ peer: readParam("peer"), port, actor });
+        }
+        if (action === "demote") {
+          return mainUpstream.demote({ peer: readParam("peer"), actor });
+        }
+        return mainUpstream.revert({ id: readParam("id"), actor });
+      });
       return;
     }
 
@@ -715,19 +1825,134 @@ const requestHandler = async (req, res) => {
       }
       const logType = normalizeValue(nginxLogsMatch[1]).toLowerCase();
       if (!["access", "error", "shadow"].includes(logType)) {
-        respondText(res, 404, `unsupported nginx log type: ${logType}`);
+        respondError(req, res, 404, `unsupported nginx log type: ${logType}`);
         return;
       }
       const permissionKey = `nginx.logs.${logType}`;
-      if (!requirePermission(res, permissionKey)) {
+      if (!requirePermission(req, res, permissionKey)) {
         return;
       }
       const tail = parsePositiveInt(urlObj.searchParams.get("tail"), config.defaultLogTail, {
         min: 1,
         max: config.maxLogLines,
       });
+      const logFilter = createNginxLogFilter(logType, readLogFilterOptions(urlObj.searchParams));
+      if (isTruthyParam(urlObj.searchParams.get("follow"))) {
+        await streamCommandToResponse(
+          req,
+          res,
+          urlObj,
+          scope,
+          (handlers) => dockerClient.followNginxLogs(logType, { tail, ...handlers }),
+          { filterLine: (line, stream) => stream === "stderr" || logFilter.matches(line) },
+        );
+        return;
+      }
       const result = await dockerClient.nginxLogs(logType, tail);
-      sendCommandResult(res, result);
+      const lines = String(result.stdout || "")
+        .split(/\r?\n/g)
+        .filter((line) => line && logFilter.matches(line));
+      if (logFilter.active) {
+        result.stdout = lines.length > 0 ? `${lines.join("\n")}\n` : "";
+      }
+      if (wantsJson(req)) {
+        result.data = lines.map((line) => {
+          const entry = parseNginxLogLine(logType, line);
+          return { ...entry, time: entry.time === null ? null : new Date(entry.time).toISOString(), line };
+        });
+      }
+      sendCommandResult(req, res, result);
+      return;
+    }
+
+    if (pathname === "/dockerapi/audit") {
+      if (!ensureMethod(req, res, ["GET"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "audit.read")) {
+        return;
+      }
+      const entries = await auditLog.query({
+        since: parseTimeBound(urlObj.searchParams.get("since"), "since"),
+        until: parseTimeBound(urlObj.searchParams.get("until"), "until"),
+        key: normalizeValue(urlObj.searchParams.get("key")),
+        container: normalizeValue(urlObj.searchParams.get("container")),
+        user: normalizeValue(urlObj.searchParams.get("user")),
+        limit: parsePositiveInt(urlObj.searchParams.get("limit"), 100, { min: 1, max: 5000 }),
+      });
+      if (wantsJson(req)) {
+        respondJson(res, 200, { ok: true, count: entries.length, entries });
+        return;
+      }
+      const lines = entries.map((entry) =>
+        [
+          entry.ts,
+          `user=${entry.user || entry.tokenName || "-"}`,
+          `key=${entry.key}`,
+          `container=${entry.resolvedContainer || entry.container || "-"}`,
+          entry.denied ? "denied=1" : `exit=${entry.code === null ? "-" : entry.code}`,
+          `durationMs=${entry.durationMs === null ? "-" : entry.durationMs}`,
+          `argv=${JSON.stringify(entry.argv || [])}`,
+        ].join(" "),
+      );
+      respondText(res, 200, lines.length > 0 ? lines.join("\n") : "no audit entries");
+      return;
+    }
+
+    if (pathname === "/dockerapi/jobs") {
+      if (!ensureMethod(req, res, ["GET"])) {
+        return;
+      }
+      if (!requirePermission(req, res, "jobs.read")) {
+        return;
+      }
+      const caller = getCaller(req);
+      const jobs = jobQueue.list({
+        key: normalizeValue(urlObj.searchParams.get("key")),
+        status: normalizeValue(urlObj.searchParams.get("status")).toLowerCase(),
+        caller: caller ? caller.name : null,
+        limit: parsePositiveInt(urlObj.searchParams.get("limit"), 50, { min: 1, max: config.jobHistoryLimit }),
+      });
+      if (wantsJson(req)) {
+        respondJson(res, 200, { ok: true, count: jobs.length, counts: jobQueue.counts(), jobs: jobs.map((job) => serializeJob(job)) });
+        return;
+      }
+      const lines = jobs.map((job) =>
+        [
+          job.id,
+          `status=${job.status}`,
+          `key=${job.key}`,
+          `createdAt=${job.createdAt}`,
+          `durationMs=${job.durationMs === null ? "-" : job.durationMs}`,
+          `description=${job.description}`,
+        ].join(" "),
+      );
+      respondText(res, 200, lines.length > 0 ? lines.join("\n") : "no jobs");
+      return;
+    }
+
+    const jobMatch = pathname.match(/^\/dockerapi\/jobs\/([A-Za-z0-9-]+)$/);
+    if (jobMatch) {
+      if (!ensureMethod(req, res, ["GET", "DELETE"])) {
+        return;
+      }
+      const isCancel = req.method === "DELETE";
+      if (!requirePermission(req, res, isCancel ? "jobs.cancel" : "jobs.read")) {
+        return;
+      }
+      const caller = getCaller(req);
+      const job = jobQueue.get(jobMatch[1]);
+      // token callers only see their own jobs
+      if (!job || (caller && job.caller !== caller.name)) {
+        respondError(req, res, 404, `job not found: ${jobMatch[1]}`);
+        return;
+      }
+      if (isCancel) {
+        jobQueue.cancel(job.id);
+        respondJob(req, res, 202, job);
+        return;
+      }
+      respondJob(req, res, 200, job, { includeResult: true });
       return;
     }
 
@@ -738,17 +1963,26 @@ const requestHandler = async (req, res) => {
       return;
     }
 
+    const composeMatch = pathname.match(/^\/dockerapi\/compose\/([A-Za-z0-9_-]+)$/);
+    if (composeMatch) {
+      const actionName = normalizeValue(composeMatch[1]).toLowerCase();
+      await handleComposeRoute(req, res, urlObj, actionName);
+      return;
+    }
+
     const containerMatch = pathname.match(/^\/dockerapi\/([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)$/);
     if (containerMatch) {
       const containerName = normalizeValue(containerMatch[1]);
       const actionName = normalizeValue(containerMatch[2]).toLowerCase();
-      await handleContainerRoute(req, res, urlObj, containerName, actionName);
+      await handleContainerRoute(req, res, urlObj, containerName, actionName, scope);
       return;
     }
 
-    respondText(res, 404, "dockerapi route not found");
+    respondError(req, res, 404, "dockerapi route not found");
   } catch (error) {
-    handleCommandError(res, scope, error);
+    handleCommandError(req, res, scope, error);
+  } finally {
+    writeAuditEntry(req, res);
   }
 };
 
@@ -771,20 +2005,91 @@ process.on("unhandledRejection", (reason) => {
   logger.error("process", reason, "unhandled rejection");
 });
 
+process.on("exit", () => {
+  auditLog.flushSync();
+  logger.flushSync();
+});
+
+const SHUTDOWN_GRACE_MS = 10000;
+const backgroundTimers = [];
+
+// no process.exit(): the process ends once the server, timers and in-flight writes are done,
+// so buffered log lines and running commands are not cut off
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    logger.info("process", `received ${signal}, shutting down`);
+    tailscaleWatcher.stop();
+    for (const timer of backgroundTimers) {
+      clearInterval(timer);
+    }
+    server.close(() => {
+      void auditLog.flush().then(() => logger.flush());
+    });
+    server.closeIdleConnections();
+    // open follow streams would otherwise hold the server for up to streamMaxDurationSec
+    setTimeout(() => server.closeAllConnections(), SHUTDOWN_GRACE_MS).unref();
+    void auditLog.flush();
+    void logger.flush();
+  });
+}
+
 server.listen(config.port, config.host, () => {
   logger.info("server", `docker-manager is running on ${config.host}:${config.port}`);
+  logger.info("server", "docker backend setup", {
+    backend: config.dockerBackend,
+    socket: config.dockerBackend === "api" ? config.dockerSocket : "",
+    dockerBin: config.dockerBin,
+  });
   logger.info("server", "tailscale periodic sync setup", {
     enabled: config.tailscaleSyncEnabled,
+    mode:
+      config.tailscaleSyncMode === "watch"
+        ? `watch debounceMs=${config.tailscaleWatchDebounceMs} resyncSec=${config.tailscaleWatchResyncSec}`
+        : "interval",
     intervalSec: config.tailscaleSyncIntervalSec,
     shadowDir: config.shadowDir,
     shadowPort: config.shadowPort,
+    groupsFile: config.shadowGroupsFile,
+    discovery: `${config.shadowDiscovery.join(",")} (${config.shadowDiscoveryMode})`,
+    include: config.shadowInclude,
+    exclude: config.shadowExclude,
+    portOverrides: Object.fromEntries(config.shadowPortOverrides),
+    probe: shadowProber
+      ? `${config.shadowProbePath} rise=${config.shadowProbeRise} fall=${config.shadowProbeFall} timeoutMs=${config.shadowProbeTimeoutMs}`
+      : config.shadowProbeEnabled
+        ? "disabled: DOCKER_MANAGER_SHADOW_PROBE_PATH is not set"
+        : "disabled",
+  });
+  logger.info("server", "container watchdog setup", {
+    enabled: config.watchdogEnabled,
+    intervalSec: config.watchdogIntervalSec,
+    containers: config.watchdogContainers,
+    probes: Object.fromEntries(config.watchdogProbes),
+  });
+  logger.info("server", "access token setup", {
+    enabled: tokenStore.isEnabled(),
+    tokensFile: config.tokensFile,
   });
   if (config.tailscaleSyncEnabled) {
-    setTimeout(() => {
+    const startupTimer = setTimeout(() => {
       void runScheduledSync("startup");
     }, 2000);
-    setInterval(() => {
+    if (config.tailscaleSyncMode === "watch") {
+      tailscaleWatcher.start();
+    }
+    const syncTimer = setInterval(() => {
+      if (config.tailscaleSyncMode === "watch" && !tailscaleWatcher.shouldPoll(runtimeState.sync.lastRunAt)) {
+        return;
+      }
       void runScheduledSync("interval");
     }, config.tailscaleSyncIntervalSec * 1000);
+    backgroundTimers.push(startupTimer, syncTimer);
+  }
+  if (config.watchdogEnabled) {
+    // first check runs one interval after start so the stack has time to come up
+    const watchdogTimer = setInterval(() => {
+      void watchdog.runCycle("interval");
+    }, config.watchdogIntervalSec * 1000);
+    backgroundTimers.push(watchdogTimer);
   }
 });
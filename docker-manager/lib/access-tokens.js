@@ -0,0 +1,177 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const { normalizeValue } = require("./config");
+
+const SHA256_HEX_PATTERN = /^[a-f0-9]{64}$/;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token), "utf8").digest("hex");
+
+const globToRegExp = (pattern) => {
+  const escaped = normalizeValue(pattern)
+    .split("")
+    .map((ch) => {
+      if (ch === "*") {
+        return ".*";
+      }
+      if (ch === "?") {
+        return ".";
+      }
+      return ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${escaped}$`);
+};
+
+const matchesAnyGlob = (patterns, value) => {
+  const text = normalizeValue(value);
+  return patterns.some((pattern) => globToRegExp(pattern).test(text));
+};
+
+const normalizePatternList = (value) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => normalizeValue(item)).filter(Boolean);
+  }
+  if (typeof value === "string") {
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return [];
+};
+
+const normalizeTokenEntry = (raw, index) => {
+  if (!raw || typeof raw !== "object") {
+    throw new Error(`token entry #${index} must be an object`);
+  }
+  const name = normalizeValue(raw.name) || `token-${index}`;
+  const plainToken = normalizeValue(raw.token);
+  const providedHash = normalizeValue(raw.sha256).toLowerCase();
+  if (!plainToken && !providedHash) {
+    throw new Error(`token entry '${name}' requires 'token' or 'sha256'`);
+  }
+  if (providedHash && !SHA256_HEX_PATTERN.test(providedHash)) {
+    throw new Error(`token entry '${name}' has invalid sha256`);
+  }
+  return {
+    name,
+    tokenHash: providedHash || hashToken(plainToken),
+    allow: normalizePatternList(raw.allow),
+    deny: normalizePatternList(raw.deny),
+    containers: normalizePatternList(raw.containers),
+  };
+};
+
+const parseTokenFile = (text) => {
+  const payload = JSON.parse(text);
+  const list = Array.isArray(payload) ? payload : payload && Array.isArray(payload.tokens) ? payload.tokens : null;
+  if (!list) {
+    throw new Error("token file must be an array or an object with 'tokens' array");
+  }
+  return list.map((item, index) => normalizeTokenEntry(item, index));
+};
+
+/**
+ * Bearer tokens loaded from DOCKER_MANAGER_TOKENS_FILE. The file is re-read
+ * when its mtime changes, so tokens can be rotated without a restart.
+ * A missing or broken file never widens access: callers are rejected until
+ * a valid file is in place.
+ */
+class AccessTokenStore {
+  constructor(options) {
+    const settings = options || {};
+    this.filePath = normalizeValue(settings.filePath);
+    this.logger = settings.logger || null;
+    this.entries = [];
+    this.loadedMtimeMs = -1;
+    this.lastLoadError = "";
+  }
+
+  isEnabled() {
+    return Boolean(this.filePath);
+  }
+
+  reloadIfChanged() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      this.markLoadError(error, "cannot stat token file");
+      this.entries = [];
+      this.loadedMtimeMs = -1;
+      return;
+    }
+    if (stat.mtimeMs === this.loadedMtimeMs) {
+      return;
+    }
+    try {
+      this.entries = parseTokenFile(fs.readFileSync(this.filePath, "utf8"));
+      this.loadedMtimeMs = stat.mtimeMs;
+      this.lastLoadError = "";
+      if (this.logger) {
+        this.logger.info("access-tokens", `loaded ${this.entries.length} token(s) from ${this.filePath}`);
+      }
+    } catch (error) {
+      this.markLoadError(error, "cannot parse token file");
+      this.entries = [];
+      this.loadedMtimeMs = stat.mtimeMs;
+    }
+  }
+
+  markLoadError(error, message) {
+    const detail = error && error.message ? error.message : String(error);
+    if (detail === this.lastLoadError) {
+      return;
+    }
+    this.lastLoadError = detail;
+    if (this.logger) {
+      this.logger.error("access-tokens", error, message, { filePath: this.filePath });
+    }
+  }
+
+  authenticate(presentedToken) {
+    const token = normalizeValue(presentedToken);
+    if (!token) {
+      return null;
+    }
+    this.reloadIfChanged();
+    const presentedHash = Buffer.from(hashToken(token), "utf8");
+    let matched = null;
+    for (const entry of this.entries) {
+      const expected = Buffer.from(entry.tokenHash, "utf8");
+      if (expected.length === presentedHash.length && crypto.timingSafeEqual(expected, presentedHash) && !matched) {
+        matched = entry;
+      }
+    }
+    return matched;
+  }
+}
+
+const canCallerRunCommand = (caller, commandKey) => {
+  if (!caller) {
+    return true;
+  }
+  if (matchesAnyGlob(caller.deny, commandKey)) {
+    return false;
+  }
+  return matchesAnyGlob(caller.allow, commandKey);
+};
+
+// `containerNames` may list several names of one container (its name and compose service); one match is enough
+const canCallerAccessContainer = (caller, containerNames) => {
+  if (!caller || caller.containers.length === 0) {
+    return true;
+  }
+  return [].concat(containerNames).some((name) => matchesAnyGlob(caller.containers, name));
+};
+
+module.exports = {
+  AccessTokenStore,
+  canCallerRunCommand,
+  canCallerAccessContainer,
+  hashToken,
+  matchesAnyGlob,
+};
@@ -0,0 +1,228 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { normalizeValue } = require("./config");
+const { matchesAnyGlob } = require("./access-tokens");
+
+const OUTPUT_HASH_LENGTH = 16;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+const positiveOr = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+
+// yields the lines of a file last-to-first, reading fixed-size chunks from the end
+async function* readLinesReverse(filePath) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, "r");
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return;
+    }
+    throw error;
+  }
+  try {
+    const { size } = await handle.stat();
+    let position = size;
+    let remainder = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(TAIL_CHUNK_BYTES, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      // split on bytes so a multi-byte character cut by the chunk boundary is never decoded half-way
+      const data = Buffer.concat([chunk, remainder]);
+      let end = data.length;
+      for (let index = data.length - 1; index >= 0; index -= 1) {
+        if (data[index] === 0x0a) {
+          yield data.subarray(index + 1, end).toString("utf8");
+          end = index;
+        }
+      }
+      remainder = data.subarray(0, end);
+    }
+    if (remainder.length > 0) {
+      yield remainder.toString("utf8");
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+const hashOutput = (result) => {
+  const output = `${String((result && result.stdout) || "")}${String((result && result.stderr) || "")}`;
+  return {
+    outputSha256: crypto.createHash("sha256").update(output, "utf8").digest("hex").slice(0, OUTPUT_HASH_LENGTH),
+    outputBytes: Buffer.byteLength(output, "utf8"),
+  };
+};
+
+class AuditLog {
+  constructor(options) {
+    const settings = options || {};
+    this.filePath = settings.filePath;
+    this.logger = settings.logger || null;
+    this.maxBytes = positiveOr(settings.maxBytes, DEFAULT_MAX_BYTES);
+    this.maxFiles = positiveOr(settings.maxFiles, DEFAULT_MAX_FILES);
+    this.fileSize = 0;
+    this.fileReady = false;
+    this.pending = [];
+    this.writeChain = Promise.resolve();
+    this.initialize();
+  }
+
+  initialize() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, "");
+      this.fileSize = fs.statSync(this.filePath).size;
+      this.fileReady = true;
+    } catch (error) {
+      this.fileReady = false;
+      if (this.logger) {
+        this.logger.error("audit", error, `cannot prepare audit file '${this.filePath}'`);
+      }
+    }
+  }
+
+  record(entry) {
+    const payload = {
+      ts: new Date().toISOString(),
+      ...entry,
+    };
+    if (this.logger) {
+      this.logger.info("audit", `${payload.key} by ${payload.user || payload.tokenName || "anonymous"}`, {
+        container: payload.container || "",
+        code: payload.code,
+        denied: Boolean(payload.denied),
+      });
+    }
+    if (!this.fileReady) {
+      return;
+    }
+    this.pending.push(`${JSON.stringify(payload)}\n`);
+    void this.flush();
+  }
+
+  // appends run one after another off the request path; query() and shutdown wait for them
+  flush() {
+    this.writeChain = this.writeChain.then(() => this.drainPending());
+    return this.writeChain;
+  }
+
+  async drainPending() {
+    if (this.pending.length === 0) {
+      return;
+    }
+    const data = this.pending.join("");
+    this.pending = [];
+    const bytes = Buffer.byteLength(data, "utf8");
+    try {
+      if (this.fileSize > 0 && this.fileSize + bytes > this.maxBytes) {
+        await this.rotate();
+      }
+      await fs.promises.appendFile(this.filePath, data, "utf8");
+      this.fileSize += bytes;
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error("audit", error, "cannot append audit entry");
+      }
+    }
+  }
+
+  // last resort from the process "exit" handler, where nothing asynchronous runs any more
+  flushSync() {
+    if (!this.fileReady || this.pending.length === 0) {
+      return;
+    }
+    const data = this.pending.join("");
+    this.pending = [];
+    try {
+      fs.appendFileSync(this.filePath, data, "utf8");
+    } catch (error) {
+      process.stderr.write(`[${new Date().toISOString()}] [ERROR] [audit] cannot flush audit file: ${error && error.message}\n`);
+    }
+  }
+
+  rotatedPath(index) {
+    return `${this.filePath}.${index}`;
+  }
+
+  // <audit>.1 .. <audit>.<maxFiles> stay plain JSONL so query() can keep reading them
+  async rotate() {
+    await fs.promises.rm(this.rotatedPath(this.maxFiles), { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index -= 1) {
+      if (fs.existsSync(this.rotatedPath(index))) {
+        await fs.promises.rename(this.rotatedPath(index), this.rotatedPath(index + 1));
+      }
+    }
+    await fs.promises.rename(this.filePath, this.rotatedPath(1));
+    this.fileSize = 0;
+  }
+
+  async query(filters = {}) {
+    const keyPatterns = filters.key ? [filters.key] : [];
+    const containerPatterns = filters.container ? [filters.container] : [];
+    const user = normalizeValue(filters.user);
+    const limit = Number.isFinite(filters.limit) ? filters.limit : 100;
+    await this.flush();
+    const hasSince = filters.since !== null && filters.since !== undefined;
+    const entries = [];
+    const files = [this.filePath];
+    for (let index = 1; index <= this.maxFiles; index += 1) {
+      files.push(this.rotatedPath(index));
+    }
+    for (const filePath of files) {
+      for await (const rawLine of readLinesReverse(filePath)) {
+        const line = rawLine.trim();
+        if (!line) {
+          continue;
+        }
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        const ts = Date.parse(entry.ts);
+        // entries are appended in time order, so everything further back is older still
+        if (hasSince && ts < filters.since) {
+          return entries;
+        }
+        if (hasSince && !(ts >= filters.since)) {
+          continue;
+        }
+        if (filters.until !== null && filters.until !== undefined && !(ts <= filters.until)) {
+          continue;
+        }
+        if (keyPatterns.length > 0 && !matchesAnyGlob(keyPatterns, entry.key)) {
+          continue;
+        }
+        if (
+          containerPatterns.length > 0 &&
+          !matchesAnyGlob(containerPatterns, entry.container) &&
+          !matchesAnyGlob(containerPatterns, entry.resolvedContainer)
+        ) {
+          continue;
+        }
+        if (user && entry.user !== user && entry.tokenName !== user) {
+          continue;
+        }
+        entries.push(entry);
+        if (entries.length >= limit) {
+          return entries;
+        }
+      }
+    }
+    return entries;
+  }
+}
+
+module.exports = {
+  AuditLog,
+  hashOutput,
+};
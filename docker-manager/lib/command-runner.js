@@ -1,11 +1,34 @@
 "use strict";
 
+const { AsyncLocalStorage } = require("async_hooks");
 const { spawn } = require("child_process");
 
+const abortScope = new AsyncLocalStorage();
+
 const buildCommandText = (command, args) => [command, ...(Array.isArray(args) ? args : [])].join(" ").trim();
 
+// Commands started inside fn (at any depth) are killed when signal aborts.
+const runWithAbortSignal = (signal, fn) => abortScope.run({ signal }, fn);
+
+const currentAbortSignal = () => {
+  const store = abortScope.getStore();
+  return store ? store.signal : null;
+};
+
+const createCancelledError = (commandText) => {
+  const error = new Error(`command cancelled: ${commandText}`);
+  error.cancelled = true;
+  return error;
+};
+
 const runCommand = (command, args, options = {}) =>
   new Promise((resolve, reject) => {
+    const abortSignal = options.signal || currentAbortSignal();
+    if (abortSignal && abortSignal.aborted) {
+      reject(createCancelledError(buildCommandText(command, args)));
+      return;
+    }
+
     const child = spawn(command, Array.isArray(args) ? args : [], {
       cwd: options.cwd || process.cwd(),
       env: options.env || process.env,
@@ -15,23 +38,43 @@ const runCommand = (command, args, options = {}) =>
 
     const timeoutMs = Number.isFinite(options.timeoutMs) ? options.timeoutMs : 0;
     const commandText = buildCommandText(command, args);
+    const startedAt = Date.now();
     let stdout = "";
     let stderr = "";
     let settled = false;
     let timeoutHandle = null;
 
-    const finish = (payload) => {
+    const onAbort = () => {
       if (settled) {
         return;
       }
       settled = true;
+      clearWatchers();
+      child.kill("SIGTERM");
+      reject(createCancelledError(commandText));
+    };
+
+    const clearWatchers = () => {
       if (timeoutHandle) {
         clearTimeout(timeoutHandle);
       }
+      if (abortSignal) {
+        abortSignal.removeEventListener("abort", onAbort);
+      }
+    };
+
+    const finish = (payload) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearWatchers();
       resolve({
         command: commandText,
+        argv: [command, ...(Array.isArray(args) ? args : [])],
         stdout,
         stderr,
+        durationMs: Date.now() - startedAt,
         ...payload,
       });
     };
@@ -51,9 +94,7 @@ const runCommand = (command, args, options = {}) =>
         return;
       }
       settled = true;
-      if (timeoutHandle) {
-        clearTimeout(timeoutHandle);
-      }
+      clearWatchers();
       reject(error);
     });
 
@@ -70,19 +111,118 @@ const runCommand = (command, args, options = {}) =>
     }
     child.stdin.end();
 
+    if (abortSignal) {
+      abortSignal.addEventListener("abort", onAbort, { once: true });
+    }
+
     if (timeoutMs > 0) {
       timeoutHandle = setTimeout(() => {
         if (settled) {
           return;
         }
         settled = true;
+        clearWatchers();
         child.kill("SIGTERM");
-        reject(new Error(`command timeout after ${timeoutMs}ms: ${commandText}`));
+        const error = new Error(`command timeout after ${timeoutMs}ms: ${commandText}`);
+        error.timedOut = true;
+        reject(error);
       }, timeoutMs);
     }
   });
 
+const streamCommand = (command, args, options = {}) => {
+  const child = spawn(command, Array.isArray(args) ? args : [], {
+    cwd: options.cwd || process.cwd(),
+    env: options.env || process.env,
+    shell: false,
+    stdio: "pipe",
+  });
+
+  const maxDurationMs = Number.isFinite(options.maxDurationMs) ? options.maxDurationMs : 0;
+  const commandText = buildCommandText(command, args);
+  const startedAt = Date.now();
+  let stopReason = "";
+  let maxDurationHandle = null;
+
+  const stop = (reason) => {
+    if (!stopReason) {
+      stopReason = reason || "stopped";
+    }
+    // paused pipes never end, and `close` (so `done`) waits for them
+    child.stdout.resume();
+    child.stderr.resume();
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill("SIGTERM");
+    }
+  };
+
+  child.stdout.setEncoding("utf8");
+  child.stderr.setEncoding("utf8");
+
+  child.stdout.on("data", (chunk) => {
+    if (typeof options.onStdout === "function") {
+      options.onStdout(chunk);
+    }
+  });
+  child.stderr.on("data", (chunk) => {
+    if (typeof options.onStderr === "function") {
+      options.onStderr(chunk);
+    }
+  });
+
+  const done = new Promise((resolve, reject) => {
+    child.on("error", (error) => {
+      if (maxDurationHandle) {
+        clearTimeout(maxDurationHandle);
+      }
+      reject(error);
+    });
+
+    child.on("close", (code, signal) => {
+      if (maxDurationHandle) {
+        clearTimeout(maxDurationHandle);
+      }
+      resolve({
+        command: commandText,
+        argv: [command, ...(Array.isArray(args) ? args : [])],
+        code: Number.isFinite(code) ? code : 1,
+        signal: signal || null,
+        ok: code === 0,
+        durationMs: Date.now() - startedAt,
+        stopReason,
+      });
+    });
+  });
+
+  child.stdin.end();
+
+  if (maxDurationMs > 0) {
+    maxDurationHandle = setTimeout(() => {
+      stop(`max duration ${maxDurationMs}ms reached`);
+    }, maxDurationMs);
+  }
+
+  return {
+    child,
+    command: commandText,
+    done,
+    stop,
+    pause: () => {
+      child.stdout.pause();
+      child.stderr.pause();
+    },
+    resume: () => {
+      child.stdout.resume();
+      child.stderr.resume();
+    },
+  };
+};
+
 module.exports = {
+  createCancelledError,
+  currentAbortSignal,
   runCommand,
+  runWithAbortSignal,
+  streamCommand,
   buildCommandText,
 };
@@ -8,11 +8,16 @@ const SAFE_COMMAND_KEYS = [
   "tailscale.status",
   "tailscale.ping",
   "tailscale.ip",
+  "tailscale.sync.plan",
+  "tailscale.sync",
   "nginx.test",
   "nginx.version",
+  "nginx.mirror.read",
   "nginx.logs.access",
   "nginx.logs.error",
   "nginx.logs.shadow",
+  "nginx.shadow.report",
+  "upstream.read",
   "system.ps",
   "system.images",
   "system.networks",
@@ -29,10 +34,40 @@ const SAFE_COMMAND_KEYS = [
   "container.restart",
   "container.pause",
   "container.unpause",
+  "audit.read",
+  "metrics",
+  "compose.services",
+  "compose.pull",
+  "compose.restart",
+  "jobs.read",
+  "jobs.cancel",
+  "watchdog.read",
+  "updates.read",
+  "backup.read",
+  "backup.create",
+  "backup.snapshot",
+];
+
+const SAFE_MUTATE_COMMAND_KEYS = [
+  "tailscale.sync",
+  "container.start",
+  "container.stop",
+  "container.restart",
+  "container.pause",
+  "container.unpause",
+  "compose.pull",
+  "compose.restart",
+  "jobs.cancel",
+  "backup.create",
+  "backup.snapshot",
 ];
 
 const DANGEROUS_COMMAND_KEYS = [
   "nginx.reload",
+  "nginx.mirror.write",
+  "upstream.promote",
+  "upstream.demote",
+  "upstream.revert",
   "system.prune",
   "system.raw",
   "container.kill",
@@ -41,6 +76,10 @@ const DANGEROUS_COMMAND_KEYS = [
   "container.rename",
   "container.update",
   "container.raw",
+  "compose.up",
+  "compose.recreate",
+  "compose.upgrade",
+  "backup.restore",
 ];
 
 const ALL_COMMAND_KEYS = [...SAFE_COMMAND_KEYS, ...DANGEROUS_COMMAND_KEYS];
@@ -92,6 +131,19 @@ const parseCsvSet = (value) => {
   );
 };
 
+// "name=value,name2=value2" -> Map; entries without "=" are ignored
+const parseKeyValueMap = (value) => {
+  const map = new Map();
+  for (const item of parseCsvSet(value)) {
+    const index = item.indexOf("=");
+    if (index <= 0) {
+      continue;
+    }
+    map.set(item.slice(0, index).trim(), item.slice(index + 1).trim());
+  }
+  return map;
+};
+
 const parseCommandPolicy = (value, defaults) => {
   const normalized = normalizeValue(value);
   if (!normalized || normalized === "*") {
@@ -111,27 +163,114 @@ const createConfig = () => {
     host: readEnv("DOCKER_MANAGER_HOST", "0.0.0.0"),
     port: readIntEnv("DOCKER_MANAGER_PORT", 18080, { min: 1, max: 65535 }),
     dockerBin: readEnv("DOCKER_MANAGER_DOCKER_BIN", "docker"),
+    dockerBackend: readEnv("DOCKER_MANAGER_DOCKER_BACKEND", "cli").toLowerCase() === "api" ? "api" : "cli",
+    dockerSocket: readEnv("DOCKER_MANAGER_DOCKER_SOCKET", "/var/run/docker.sock"),
     requestBodyLimitBytes: readIntEnv("DOCKER_MANAGER_MAX_BODY_BYTES", 65536, { min: 1024, max: 1048576 }),
     commandTimeoutMs: readIntEnv("DOCKER_MANAGER_COMMAND_TIMEOUT_MS", 120000, { min: 500, max: 900000 }),
     maxLogLines: readIntEnv("DOCKER_MANAGER_MAX_LOG_LINES", 2000, { min: 10, max: 20000 }),
     defaultLogTail: readIntEnv("DOCKER_MANAGER_DEFAULT_LOG_TAIL", 200, { min: 1, max: 20000 }),
+    streamMaxDurationSec: readIntEnv("DOCKER_MANAGER_STREAM_MAX_DURATION_SEC", 1800, { min: 5, max: 86400 }),
     logDir: readEnv("DOCKER_MANAGER_LOG_DIR", "/opt/docker-manager/runtime"),
     logFile: readEnv("DOCKER_MANAGER_LOG_FILE", "docker-manager.log"),
+    logMaxBytes: readIntEnv("DOCKER_MANAGER_LOG_MAX_BYTES", 10485760, { min: 1024, max: 1073741824 }),
+    logMaxAgeSec: readIntEnv("DOCKER_MANAGER_LOG_MAX_AGE_SEC", 86400, { min: 0, max: 31536000 }),
+    logMaxFiles: readIntEnv("DOCKER_MANAGER_LOG_MAX_FILES", 5, { min: 1, max: 100 }),
+    logMaxTotalBytes: readIntEnv("DOCKER_MANAGER_LOG_MAX_TOTAL_BYTES", 104857600, { min: 1024, max: 10737418240 }),
+    logFlushIntervalMs: readIntEnv("DOCKER_MANAGER_LOG_FLUSH_INTERVAL_MS", 1000, { min: 50, max: 60000 }),
+    auditFile: readEnv("DOCKER_MANAGER_AUDIT_FILE", "docker-manager-audit.jsonl"),
+    auditMaxBytes: readIntEnv("DOCKER_MANAGER_AUDIT_MAX_BYTES", 10485760, { min: 1024, max: 1073741824 }),
+    auditMaxFiles: readIntEnv("DOCKER_MANAGER_AUDIT_MAX_FILES", 5, { min: 1, max: 100 }),
     tailscaleSyncEnabled: readBoolEnv("DOCKER_MANAGER_TAILSCALE_SYNC_ENABLED", true),
     tailscaleSyncIntervalSec: readIntEnv("DOCKER_MANAGER_TAILSCALE_SYNC_INTERVAL_SEC", 30, { min: 5, max: 86400 }),
+    tailscaleSyncMode: readEnv("DOCKER_MANAGER_TAILSCALE_SYNC_MODE", "interval").toLowerCase() === "watch" ? "watch" : "interval",
+    tailscaleWatchDebounceMs: readIntEnv("DOCKER_MANAGER_TAILSCALE_WATCH_DEBOUNCE_MS", 1500, { min: 100, max: 60000 }),
+    tailscaleWatchResyncSec: readIntEnv("DOCKER_MANAGER_TAILSCALE_WATCH_RESYNC_SEC", 300, { min: 5, max: 86400 }),
+    tailscaleWatchMaxSec: readIntEnv("DOCKER_MANAGER_TAILSCALE_WATCH_MAX_SEC", 3600, { min: 60, max: 86400 }),
+    tailscaleWatchRetryMaxSec: readIntEnv("DOCKER_MANAGER_TAILSCALE_WATCH_RETRY_MAX_SEC", 60, { min: 1, max: 3600 }),
     tailscaleContainer: readEnv("DOCKER_MANAGER_TAILSCALE_CONTAINER", "tailscale"),
     nginxContainer: readEnv("DOCKER_MANAGER_NGINX_CONTAINER", "nginx"),
     shadowDir: readEnv("DOCKER_MANAGER_SHADOW_DIR", "/opt/nginx/shadow-servers"),
     shadowPort: readIntEnv("DOCKER_MANAGER_SHADOW_PORT", 3000, { min: 1, max: 65535 }),
+    shadowDiscovery: Array.from(parseCsvSet(readEnv("DOCKER_MANAGER_SHADOW_DISCOVERY", "tailscale-status"))),
+    shadowDiscoveryMode:
+      readEnv("DOCKER_MANAGER_SHADOW_DISCOVERY_MODE", "union").toLowerCase() === "intersection" ? "intersection" : "union",
+    shadowDiscoveryFile: readEnv("DOCKER_MANAGER_SHADOW_DISCOVERY_FILE", ""),
+    shadowDiscoveryTimeoutMs: readIntEnv("DOCKER_MANAGER_SHADOW_DISCOVERY_TIMEOUT_MS", 5000, { min: 100, max: 60000 }),
+    shadowDnsNames: Array.from(parseCsvSet(readEnv("DOCKER_MANAGER_SHADOW_DNS_NAMES", ""))),
+    shadowDnsSrv: readEnv("DOCKER_MANAGER_SHADOW_DNS_SRV", ""),
+    shadowDnsDomain: readEnv("DOCKER_MANAGER_SHADOW_DNS_DOMAIN", readEnv("TAILSCALE_TAILNET_DNS", "")),
+    shadowDnsServers: Array.from(parseCsvSet(readEnv("DOCKER_MANAGER_SHADOW_DNS_SERVERS", ""))),
+    tailscaleClientId: readEnv("TAILSCALE_CLIENT_ID", ""),
+    tailscaleClientSecret: readEnv("TAILSCALE_CLIENT_SECRET", ""),
+    tailscaleTailnet: readEnv("TAILSCALE_TAILNET", "-"),
+    tailscaleApiBaseUrl: readEnv("TAILSCALE_API_BASE_URL", "https://api.tailscale.com").replace(/\/+$/, ""),
+    shadowInclude: Array.from(parseCsvSet(readEnv("DOCKER_MANAGER_SHADOW_INCLUDE", ""))),
+    shadowExclude: Array.from(parseCsvSet(readEnv("DOCKER_MANAGER_SHADOW_EXCLUDE", ""))),
+    shadowPortOverrides: parseKeyValueMap(readEnv("DOCKER_MANAGER_SHADOW_PORT_OVERRIDES", "")),
+    shadowGroupsFile: readEnv("DOCKER_MANAGER_SHADOW_GROUPS_FILE", ""),
+    nginxShadowDir: readEnv("DOCKER_MANAGER_NGINX_SHADOW_DIR", "/etc/nginx/shadow-servers").replace(/\/+$/, ""),
+    mirrorRulesFile: readEnv("DOCKER_MANAGER_MIRROR_RULES_FILE", ""),
+    mirrorRulesStateFile: readEnv("DOCKER_MANAGER_MIRROR_RULES_STATE_FILE", ""),
+    mainUpstreamFile: readEnv("DOCKER_MANAGER_MAIN_UPSTREAM_FILE", ""),
+    upstreamHistoryFile: readEnv("DOCKER_MANAGER_UPSTREAM_HISTORY_FILE", ""),
+    shadowPeerParamsFile: readEnv("DOCKER_MANAGER_SHADOW_PEER_PARAMS_FILE", ""),
+    shadowProbeEnabled: readBoolEnv("DOCKER_MANAGER_SHADOW_PROBE_ENABLED", false),
+    shadowProbePath: readEnv("DOCKER_MANAGER_SHADOW_PROBE_PATH", ""),
+    shadowProbeTimeoutMs: readIntEnv("DOCKER_MANAGER_SHADOW_PROBE_TIMEOUT_MS", 2000, { min: 100, max: 60000 }),
+    shadowProbeConcurrency: readIntEnv("DOCKER_MANAGER_SHADOW_PROBE_CONCURRENCY", 4, { min: 1, max: 64 }),
+    shadowProbeRise: readIntEnv("DOCKER_MANAGER_SHADOW_PROBE_RISE", 2, { min: 1, max: 100 }),
+    shadowProbeFall: readIntEnv("DOCKER_MANAGER_SHADOW_PROBE_FALL", 3, { min: 1, max: 100 }),
     enableSafeCommands: readBoolEnv("DOCKER_MANAGER_ENABLE_SAFE_COMMANDS", true),
     enableDangerousCommands: readBoolEnv("DOCKER_MANAGER_ENABLE_DANGEROUS_COMMANDS", true),
     safeCommandsPolicy: parseCommandPolicy(readEnv("DOCKER_MANAGER_ALLOWED_SAFE_COMMANDS", "*"), SAFE_COMMAND_KEYS),
     dangerousCommandsPolicy: parseCommandPolicy(readEnv("DOCKER_MANAGER_ALLOWED_DANGEROUS_COMMANDS", "*"), DANGEROUS_COMMAND_KEYS),
     blockedCommands: parseCsvSet(readEnv("DOCKER_MANAGER_BLOCKED_COMMANDS", "")),
     execShell: readEnv("DOCKER_MANAGER_EXEC_SHELL", "sh"),
+    tokensFile: readEnv("DOCKER_MANAGER_TOKENS_FILE", ""),
+    composeProjectDir: readEnv("DOCKER_MANAGER_COMPOSE_PROJECT_DIR", process.cwd()),
+    composeFile: readEnv("DOCKER_MANAGER_COMPOSE_FILE", "docker-compose.yml"),
+    composeEnvFile: readEnv("DOCKER_MANAGER_COMPOSE_ENV_FILE", ".env"),
+    composeProjectName: readEnv("DOCKER_MANAGER_COMPOSE_PROJECT_NAME", ""),
+    jobConcurrencyPerKey: readIntEnv("DOCKER_MANAGER_JOB_CONCURRENCY_PER_KEY", 1, { min: 1, max: 16 }),
+    jobMaxRunning: readIntEnv("DOCKER_MANAGER_JOB_MAX_RUNNING", 4, { min: 1, max: 64 }),
+    jobHistoryLimit: readIntEnv("DOCKER_MANAGER_JOB_HISTORY_LIMIT", 200, { min: 10, max: 10000 }),
+    watchdogEnabled: readBoolEnv("DOCKER_MANAGER_WATCHDOG_ENABLED", false),
+    watchdogContainers: Array.from(parseCsvSet(readEnv("DOCKER_MANAGER_WATCHDOG_CONTAINERS", "pocketbase,nginx,tailscale,caddy"))),
+    watchdogProbes: parseKeyValueMap(readEnv("DOCKER_MANAGER_WATCHDOG_PROBES", "nginx=http://127.0.0.1:8080/healthz")),
+    watchdogIntervalSec: readIntEnv("DOCKER_MANAGER_WATCHDOG_INTERVAL_SEC", 30, { min: 5, max: 86400 }),
+    watchdogProbeTimeoutMs: readIntEnv("DOCKER_MANAGER_WATCHDOG_PROBE_TIMEOUT_MS", 5000, { min: 100, max: 60000 }),
+    watchdogFailureThreshold: readIntEnv("DOCKER_MANAGER_WATCHDOG_FAILURE_THRESHOLD", 3, { min: 1, max: 100 }),
+    watchdogBackoffSec: readIntEnv("DOCKER_MANAGER_WATCHDOG_BACKOFF_SEC", 30, { min: 0, max: 86400 }),
+    watchdogMaxBackoffSec: readIntEnv("DOCKER_MANAGER_WATCHDOG_MAX_BACKOFF_SEC", 900, { min: 0, max: 86400 }),
+    watchdogMaxRestarts: readIntEnv("DOCKER_MANAGER_WATCHDOG_MAX_RESTARTS", 3, { min: 1, max: 1000 }),
+    watchdogRestartWindowSec: readIntEnv("DOCKER_MANAGER_WATCHDOG_RESTART_WINDOW_SEC", 3600, { min: 60, max: 604800 }),
+    upgradeHealthTimeoutSec: readIntEnv("DOCKER_MANAGER_UPGRADE_HEALTH_TIMEOUT_SEC", 120, { min: 10, max: 3600 }),
+    pocketbaseContainer: readEnv("DOCKER_MANAGER_POCKETBASE_CONTAINER", "pocketbase"),
+    pocketbaseDataDir: readEnv("DOCKER_MANAGER_POCKETBASE_DATA_DIR", ""),
+    backupDir: readEnv("DOCKER_MANAGER_BACKUP_DIR", ""),
+    backupRetention: readIntEnv("DOCKER_MANAGER_BACKUP_RETENTION", 7, { min: 1, max: 1000 }),
+    backupTimeoutSec: readIntEnv("DOCKER_MANAGER_BACKUP_TIMEOUT_SEC", 900, { min: 10, max: 86400 }),
+    pullSnapshotDir: readEnv("DOCKER_MANAGER_PULL_SNAPSHOT_DIR", ""),
+    pullSnapshotMaxAgeSec: readIntEnv("DOCKER_MANAGER_PULL_SNAPSHOT_MAX_AGE_SEC", 3600, { min: 60, max: 604800 }),
   };
 
   config.logPath = path.join(config.logDir, config.logFile);
+  config.auditPath = path.join(config.logDir, config.auditFile);
+  config.pocketbaseDataDir = config.pocketbaseDataDir || path.join(config.composeProjectDir, ".pocketbase");
+  config.backupDir = config.backupDir || path.join(config.logDir, "backups");
+  config.pullSnapshotDir = config.pullSnapshotDir || path.join(config.composeProjectDir, ".pull-data", "snapshots");
+  config.mirrorRulesFile =
+    config.mirrorRulesFile || path.join(config.composeProjectDir, ".nginx", "runtime", "mirror-rules", "mirror_rules.map");
+  config.mirrorRulesStateFile = config.mirrorRulesStateFile || path.join(config.logDir, "mirror-rules.json");
+  config.mainUpstreamFile =
+    config.mainUpstreamFile || path.join(config.composeProjectDir, ".nginx", "runtime", "main-upstream", "servers.conf");
+  config.upstreamHistoryFile = config.upstreamHistoryFile || path.join(config.logDir, "upstream-history.json");
+  config.shadowDiscoveryFile = config.shadowDiscoveryFile || path.join(config.logDir, "shadow-discovery.json");
+  config.shadowPeerParamsFile = config.shadowPeerParamsFile || path.join(config.logDir, "shadow-peers.json");
+  config.shadowGroupsFile = config.shadowGroupsFile || path.join(config.logDir, "shadow-groups.json");
+  if (config.shadowProbePath && !config.shadowProbePath.startsWith("/")) {
+    config.shadowProbePath = `/${config.shadowProbePath}`;
+  }
   return config;
 };
 
@@ -140,9 +279,11 @@ const isContainerNameValid = (containerName) => CONTAINER_NAME_PATTERN.test(norm
 module.exports = {
   ALL_COMMAND_KEYS,
   SAFE_COMMAND_KEYS,
+  SAFE_MUTATE_COMMAND_KEYS,
   DANGEROUS_COMMAND_KEYS,
   createConfig,
   normalizeValue,
   parseCsvSet,
+  parseKeyValueMap,
   isContainerNameValid,
 };
@@ -0,0 +1,288 @@
+"use strict";
+
+const HISTORY_LIMIT = 100;
+const RELEASE_ACTIONS = new Set(["start", "restart", "unpause"]);
+
+const describeError = (error) => (error && error.message ? error.message : String(error));
+
+const probeUrl = async (url, timeoutMs) => {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs), redirect: "manual" });
+    await response.arrayBuffer();
+    if (response.status >= 200 && response.status < 400) {
+      return { ok: true, detail: `probe ${response.status}` };
+    }
+    return { ok: false, detail: `probe ${url} returned ${response.status}` };
+  } catch (error) {
+    return { ok: false, detail: `probe ${url} failed: ${describeError(error)}` };
+  }
+};
+
+class ContainerWatchdog {
+  constructor({ dockerClient, config, logger, metrics = null }) {
+    this.dockerClient = dockerClient;
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.inProgress = false;
+    this.lastRunAt = null;
+    this.totalRuns = 0;
+    this.history = [];
+    this.containers = new Map(
+      config.watchdogContainers.map((name) => [
+        name,
+        {
+          name,
+          probe: config.watchdogProbes.get(name) || "",
+          healthy: null,
+          state: "",
+          health: "",
+          detail: "",
+          lastCheckAt: null,
+          consecutiveFailures: 0,
+          backoffLevel: 0,
+          nextRestartAt: null,
+          restarts: [],
+          lastRestartAt: null,
+          suppressed: false,
+          maintenance: "",
+          operatorHold: "",
+        },
+      ]),
+    );
+  }
+
+  async runCycle(source) {
+    if (this.inProgress) {
+      this.logger.warn("watchdog", "skip watchdog cycle because previous cycle is still running", { source });
+      return;
+    }
+    this.inProgress = true;
+    this.lastRunAt = new Date().toISOString();
+    this.totalRuns += 1;
+    try {
+      for (const entry of this.containers.values()) {
+        try {
+          await this.checkContainer(entry);
+        } catch (error) {
+          this.logger.error("watchdog", error, "container check failed", { container: entry.name });
+        }
+      }
+    } finally {
+      this.inProgress = false;
+    }
+  }
+
+  async inspectContainer(name) {
+    let result;
+    try {
+      result = await this.dockerClient.containerInspect(name, { asJson: true });
+    } catch (error) {
+      return { ok: false, state: "missing", health: "", detail: describeError(error) };
+    }
+    const info = Array.isArray(result.data) ? result.data[0] : null;
+    if (result.code !== 0 || !info || !info.State) {
+      return { ok: false, state: "missing", health: "", detail: result.stderr.trim() || "inspect returned no state" };
+    }
+    const state = info.State.Status || "";
+    const health = info.State.Health ? info.State.Health.Status || "" : "";
+    // only an operator pauses a container, so a paused one is left alone
+    if (state === "paused") {
+      return { ok: true, state, health, detail: "container is paused" };
+    }
+    if (state !== "running") {
+      return { ok: false, state, health, detail: `container is ${state || "not running"}` };
+    }
+    // "starting" is still inside the start period, only "unhealthy" counts as a failure
+    if (health === "unhealthy") {
+      return { ok: false, state, health, detail: "docker health check reports unhealthy" };
+    }
+    return { ok: true, state, health, detail: health ? `health ${health}` : "running" };
+  }
+
+  // planned stops (backup, restore) must not be treated as failures
+  setMaintenance(name, reason) {
+    const entry = this.containers.get(name);
+    if (entry) {
+      entry.maintenance = reason || "maintenance";
+    }
+  }
+
+  clearMaintenance(name) {
+    const entry = this.containers.get(name);
+    if (entry) {
+      entry.maintenance = "";
+      entry.consecutiveFailures = 0;
+    }
+  }
+
+  // stop/kill/rm issued through the API are intentional: hold off until the container runs again
+  holdForOperator(names, action) {
+    for (const name of [].concat(names)) {
+      const entry = this.containers.get(name);
+      if (!entry) {
+        continue;
+      }
+      if (RELEASE_ACTIONS.has(action)) {
+        entry.operatorHold = "";
+        continue;
+      }
+      entry.operatorHold = action;
+      entry.consecutiveFailures = 0;
+    }
+  }
+
+  async checkContainer(entry) {
+    if (entry.maintenance) {
+      return;
+    }
+    const inspected = await this.inspectContainer(entry.name);
+    if (entry.operatorHold) {
+      if (inspected.state !== "running") {
+        entry.state = inspected.state;
+        entry.health = inspected.health;
+        entry.detail = `${inspected.detail} (${entry.operatorHold} by operator)`;
+        entry.lastCheckAt = new Date().toISOString();
+        return;
+      }
+      // started again, possibly outside the API
+      entry.operatorHold = "";
+    }
+    let check = inspected;
+    if (inspected.ok && entry.probe) {
+      const probe = await probeUrl(entry.probe, this.config.watchdogProbeTimeoutMs);
+      check = { ...inspected, ok: probe.ok, detail: probe.detail };
+    }
+
+    const wasHealthy = entry.healthy;
+    entry.state = check.state;
+    entry.health = check.health;
+    entry.detail = check.detail;
+    entry.lastCheckAt = new Date().toISOString();
+
+    if (check.ok) {
+      if (wasHealthy === false) {
+        this.recordEvent(entry, "recovered", check.detail);
+      }
+      entry.healthy = true;
+      entry.consecutiveFailures = 0;
+      entry.backoffLevel = 0;
+      entry.nextRestartAt = null;
+      entry.suppressed = false;
+      return;
+    }
+
+    entry.healthy = false;
+    entry.consecutiveFailures += 1;
+    if (entry.consecutiveFailures === 1) {
+      this.recordEvent(entry, "failure", check.detail);
+    }
+    if (entry.consecutiveFailures < this.config.watchdogFailureThreshold) {
+      return;
+    }
+    const now = Date.now();
+    if (entry.nextRestartAt && now < Date.parse(entry.nextRestartAt)) {
+      return;
+    }
+    const windowStart = now - this.config.watchdogRestartWindowSec * 1000;
+    entry.restarts = entry.restarts.filter((ts) => ts >= windowStart);
+    if (entry.restarts.length >= this.config.watchdogMaxRestarts) {
+      if (!entry.suppressed) {
+        entry.suppressed = true;
+        this.recordEvent(
+          entry,
+          "suppressed",
+          `${entry.restarts.length} restarts within ${this.config.watchdogRestartWindowSec}s, waiting for the window to pass`,
+        );
+      }
+      return;
+    }
+    await this.restartContainer(entry, now);
+  }
+
+  async restartContainer(entry, now) {
+    entry.suppressed = false;
+    entry.restarts.push(now);
+    entry.lastRestartAt = new Date(now).toISOString();
+    const backoffSec = Math.min(this.config.watchdogBackoffSec * 2 ** entry.backoffLevel, this.config.watchdogMaxBackoffSec);
+    entry.backoffLevel += 1;
+    entry.nextRestartAt = new Date(now + backoffSec * 1000).toISOString();
+    entry.consecutiveFailures = 0;
+
+    let outcome = "success";
+    let detail = `restarted after failure: ${entry.detail}`;
+    try {
+      const result = await this.dockerClient.containerMutate(entry.name, "restart");
+      if (result.code !== 0) {
+        outcome = "failure";
+        detail = `docker restart exited ${result.code}: ${result.stderr.trim()}`;
+      }
+    } catch (error) {
+      outcome = "failure";
+      detail = `docker restart failed: ${describeError(error)}`;
+    }
+    if (this.metrics) {
+      this.metrics.restarts.inc({ container: entry.name, outcome });
+    }
+    this.recordEvent(entry, outcome === "success" ? "restart" : "restart_failed", `${detail} (next restart not before ${entry.nextRestartAt})`);
+  }
+
+  recordEvent(entry, event, detail) {
+    const item = { ts: new Date().toISOString(), container: entry.name, event, detail };
+    this.history.push(item);
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.splice(0, this.history.length - HISTORY_LIMIT);
+    }
+    const meta = { container: entry.name, consecutiveFailures: entry.consecutiveFailures };
+    if (event === "recovered") {
+      this.logger.info("watchdog", `${entry.name} recovered: ${detail}`, meta);
+    } else if (event === "restart_failed") {
+      this.logger.error("watchdog", new Error(detail), `${entry.name} restart failed`, meta);
+    } else {
+      this.logger.warn("watchdog", `${entry.name} ${event}: ${detail}`, meta);
+    }
+  }
+
+  getState() {
+    const windowStart = Date.now() - this.config.watchdogRestartWindowSec * 1000;
+    return {
+      enabled: this.config.watchdogEnabled,
+      inProgress: this.inProgress,
+      lastRunAt: this.lastRunAt,
+      totalRuns: this.totalRuns,
+      policy: {
+        intervalSec: this.config.watchdogIntervalSec,
+        failureThreshold: this.config.watchdogFailureThreshold,
+        backoffSec: this.config.watchdogBackoffSec,
+        maxBackoffSec: this.config.watchdogMaxBackoffSec,
+        maxRestarts: this.config.watchdogMaxRestarts,
+        restartWindowSec: this.config.watchdogRestartWindowSec,
+      },
+      containers: Array.from(this.containers.values()).map((entry) => ({
+        name: entry.name,
+        probe: entry.probe,
+        healthy: entry.healthy,
+        state: entry.state,
+        health: entry.health,
+        detail: entry.detail,
+        lastCheckAt: entry.lastCheckAt,
+        consecutiveFailures: entry.consecutiveFailures,
+        restartsInWindow: entry.restarts.filter((ts) => ts >= windowStart).length,
+        lastRestartAt: entry.lastRestartAt,
+        nextRestartAt: entry.nextRestartAt,
+        suppressed: entry.suppressed,
+        maintenance: entry.maintenance,
+        operatorHold: entry.operatorHold,
+      })),
+    };
+  }
+
+  getHistory(limit = HISTORY_LIMIT) {
+    return this.history.slice(-limit).reverse();
+  }
+}
+
+module.exports = {
+  ContainerWatchdog,
+  probeUrl,
+};
@@ -1,7 +1,10 @@
 "use strict";
 
+const fs = require("fs");
+const path = require("path");
+
 const { normalizeValue, isContainerNameValid } = require("./config");
-const { runCommand } = require("./command-runner");
+const { runCommand, streamCommand } = require("./command-runner");
 
 const LOG_TYPES = {
   access: "/var/log/nginx/app.access.log",
@@ -9,6 +12,85 @@ const LOG_TYPES = {
   shadow: "/var/log/nginx/shadow.mirror.log",
 };
 
+const JSON_FORMAT_ARGS = ["--format", "{{json .}}"];
+const GROUP_SUBCOMMANDS = new Set(["builder", "compose", "container", "image", "network", "system", "volume"]);
+const KNOWN_SUBCOMMANDS = new Set([
+  ...GROUP_SUBCOMMANDS,
+  "exec",
+  "images",
+  "info",
+  "inspect",
+  "kill",
+  "logs",
+  "pause",
+  "ps",
+  "pull",
+  "rename",
+  "restart",
+  "rm",
+  "start",
+  "stats",
+  "stop",
+  "top",
+  "unpause",
+  "update",
+  "version",
+]);
+
+const IMAGE_REF_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.\/:@-]*$/;
+
+const COMPOSE_ACTIONS = {
+  up: { stackArgs: ["up", "-d"], serviceArgs: ["up", "-d", "--no-deps"] },
+  pull: { stackArgs: ["pull"], serviceArgs: ["pull"] },
+  recreate: { stackArgs: ["up", "-d", "--force-recreate"], serviceArgs: ["up", "-d", "--force-recreate", "--no-deps"] },
+  restart: { stackArgs: ["restart"], serviceArgs: ["restart"] },
+};
+
+const describeDockerSubcommand = (args) => {
+  const first = normalizeValue(Array.isArray(args) ? args[0] : "");
+  if (!KNOWN_SUBCOMMANDS.has(first)) {
+    return "other";
+  }
+  if (GROUP_SUBCOMMANDS.has(first) && args.length > 1) {
+    return `${first} ${normalizeValue(args[1])}`;
+  }
+  return first;
+};
+
+const parseDockerJson = (text) => {
+  const source = normalizeValue(text);
+  if (!source) {
+    return [];
+  }
+  try {
+    return JSON.parse(source);
+  } catch {
+    // docker emits one JSON document per line for list commands with --format '{{json .}}'
+  }
+  const items = [];
+  for (const line of source.split(/\r?\n/g)) {
+    const value = line.trim();
+    if (!value) {
+      continue;
+    }
+    try {
+      items.push(JSON.parse(value));
+    } catch {
+      return null;
+    }
+  }
+  return items;
+};
+
+// list commands print one line per row, so a single row would otherwise parse as a bare object
+const parseDockerList = (text) => {
+  const parsed = parseDockerJson(text);
+  if (parsed === null || Array.isArray(parsed)) {
+    return parsed;
+  }
+  return [parsed];
+};
+
 const parsePositiveInt = (value, fallback, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) => {
   const normalized = normalizeValue(value);
   const parsed = Number.parseInt(normalized, 10);
@@ -25,19 +107,40 @@ const parsePositiveInt = (value, fallback, { min = 1, max = Number.MAX_SAFE_INTE
 };
 
 class DockerClient {
-  constructor(config, logger) {
+  constructor(config, logger, metrics = null) {
     this.config = config;
     this.logger = logger;
     this.containerResolveCache = new Map();
     this.containerResolveTtlMs = 10000;
+    this.resolveCacheStats = { hits: 0, misses: 0 };
+    this.commandMetrics = metrics
+      ? {
+          total: metrics.counter("docker_manager_docker_commands_total", "Docker CLI invocations by subcommand and exit code."),
+          timeouts: metrics.counter("docker_manager_docker_command_timeouts_total", "Docker CLI invocations killed by the command timeout."),
+          duration: metrics.histogram("docker_manager_docker_command_duration_seconds", "Docker CLI invocation duration by subcommand."),
+        }
+      : null;
   }
 
   async runDocker(args, options = {}) {
-    const result = await runCommand(this.config.dockerBin, args, {
-      timeoutMs: options.timeoutMs || this.config.commandTimeoutMs,
-      input: options.input || "",
-      env: options.env || process.env,
-    });
+    const subcommand = describeDockerSubcommand(args);
+    let result;
+    try {
+      result = await runCommand(this.config.dockerBin, args, {
+        timeoutMs: options.timeoutMs || this.config.commandTimeoutMs,
+        input: options.input || "",
+        env: options.env || process.env,
+      });
+    } catch (error) {
+      if (this.commandMetrics && error && error.timedOut) {
+        this.commandMetrics.timeouts.inc({ subcommand });
+      }
+      throw error;
+    }
+    if (this.commandMetrics) {
+      this.commandMetrics.total.inc({ subcommand, code: String(result.code) });
+      this.commandMetrics.duration.observe({ subcommand }, result.durationMs / 1000);
+    }
     if (!options.allowFailure && result.code !== 0) {
       const detail = normalizeValue(result.stderr) || normalizeValue(result.stdout) || `exit ${result.code}`;
       const error = new Error(`docker command failed: ${detail}`);
@@ -47,6 +150,13 @@ class DockerClient {
     return result;
   }
 
+  async runDockerJson(args, { list = false, ...options } = {}) {
+    const result = await this.runDocker(args, options);
+    const parse = list ? parseDockerList : parseDockerJson;
+    result.data = result.code === 0 ? parse(result.stdout) : null;
+    return result;
+  }
+
   assertContainerName(containerName) {
     if (!isContainerNameValid(containerName)) {
       throw new Error(`invalid container name: ${containerName}`);
@@ -77,6 +187,14 @@ class DockerClient {
     return cached.value;
   }
 
+  recordResolveCacheLookup(hit) {
+    if (hit) {
+      this.resolveCacheStats.hits += 1;
+      return;
+    }
+    this.resolveCacheStats.misses += 1;
+  }
+
   writeResolveCache(containerName, resolvedName) {
     const key = normalizeValue(containerName);
     const value = normalizeValue(resolvedName);
@@ -105,20 +223,25 @@ class DockerClient {
     return this.readFirstLine(anyState.stdout);
   }
 
+  async containerExists(containerName) {
+    const result = await this.runDocker(["container", "inspect", containerName], {
+      allowFailure: true,
+      timeoutMs: 5000,
+    });
+    return result.code === 0;
+  }
+
   async resolveContainerTarget(containerName) {
     this.assertContainerName(containerName);
     const directName = normalizeValue(containerName);
 
     const cached = this.readResolveCache(directName);
+    this.recordResolveCacheLookup(Boolean(cached));
     if (cached) {
       return cached;
     }
 
-    const directInspect = await this.runDocker(["container", "inspect", directName], {
-      allowFailure: true,
-      timeoutMs: 5000,
-    });
-    if (directInspect.code === 0) {
+    if (await this.containerExists(directName)) {
       this.writeResolveCache(directName, directName);
       return directName;
     }
@@ -133,9 +256,11 @@ class DockerClient {
       return composeResolved;
     }
 
-    throw new Error(
+    const error = new Error(
       `container not found: ${directName}. Hint: set DOCKER_MANAGER_TAILSCALE_CONTAINER/DOCKER_MANAGER_NGINX_CONTAINER to actual container name if needed`,
     );
+    error.statusCode = 404;
+    throw error;
   }
 
   async execInContainer(containerName, commandArgs, options = {}) {
@@ -143,9 +268,25 @@ class DockerClient {
     return this.runDocker(["exec", resolved, ...commandArgs], options);
   }
 
+  // Docker's own name and compose service of a container; token scopes are matched against these
+  // instead of the id prefix or alias a caller typed.
+  async containerScopeNames(containerName) {
+    const result = await this.containerInspect(containerName, { asJson: true });
+    const info = Array.isArray(result.data) ? result.data[0] : null;
+    if (!info) {
+      const error = new Error(`container not found: ${normalizeValue(containerName)}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    const labels = (info.Config && info.Config.Labels) || {};
+    return [normalizeValue(info.Name).replace(/^\//, ""), normalizeValue(labels["com.docker.compose.service"])].filter(Boolean);
+  }
+
   async tailscaleStatus({ asJson = false } = {}) {
     if (asJson) {
-      return this.execInContainer(this.config.tailscaleContainer, ["tailscale", "status", "--json"]);
+      const result = await this.execInContainer(this.config.tailscaleContainer, ["tailscale", "status", "--json"]);
+      result.data = parseDockerJson(result.stdout);
+      return result;
     }
     return this.execInContainer(this.config.tailscaleContainer, ["tailscale", "status"]);
   }
@@ -169,6 +310,11 @@ class DockerClient {
 
   async nginxReload() {
     await this.nginxTest();
+    return this.nginxSignalReload();
+  }
+
+  // reload without the preceding test, for callers that record `nginx -t` themselves
+  async nginxSignalReload() {
     return this.execInContainer(this.config.nginxContainer, ["nginx", "-s", "reload"]);
   }
 
@@ -176,32 +322,65 @@ class DockerClient {
     return this.execInContainer(this.config.nginxContainer, ["nginx", "-v"]);
   }
 
-  async nginxLogs(logType, tailLines) {
+  resolveNginxLogFile(logType) {
     const normalizedType = normalizeValue(logType).toLowerCase();
     const logFile = LOG_TYPES[normalizedType];
     if (!logFile) {
       throw new Error(`unsupported nginx log type: ${logType}`);
     }
+    return logFile;
+  }
+
+  async nginxLogs(logType, tailLines) {
+    const logFile = this.resolveNginxLogFile(logType);
     const tail = parsePositiveInt(tailLines, this.config.defaultLogTail, { min: 1, max: this.config.maxLogLines });
     return this.execInContainer(this.config.nginxContainer, ["tail", "-n", String(tail), logFile], {
       allowFailure: true,
     });
   }
 
-  async systemCommand(name) {
+  async followNginxLogs(logType, options = {}) {
+    const logFile = this.resolveNginxLogFile(logType);
+    const tail = parsePositiveInt(options.tail, this.config.defaultLogTail, { min: 1, max: this.config.maxLogLines });
+    const resolved = await this.resolveContainerTarget(this.config.nginxContainer);
+    const maxDurationSec = this.config.streamMaxDurationSec;
+    // `timeout` bounds the tail inside the container even if the exec client is killed first
+    const args = ["exec", resolved, "timeout", String(maxDurationSec), "tail", "-n", String(tail), "-F", logFile];
+    return streamCommand(this.config.dockerBin, args, {
+      maxDurationMs: maxDurationSec * 1000,
+      onStdout: options.onStdout,
+      onStderr: options.onStderr,
+    });
+  }
+
+  // IPN bus watch behind the event-driven shadow sync; reconnected by TailscaleWatcher when it ends
+  async watchTailscaleIpn(options = {}) {
+    const resolved = await this.resolveContainerTarget(this.config.tailscaleContainer);
+    const maxDurationSec = this.config.tailscaleWatchMaxSec;
+    const args = ["exec", resolved, "timeout", String(maxDurationSec), "tailscale", "debug", "watch-ipn", "--initial"];
+    return streamCommand(this.config.dockerBin, args, {
+      maxDurationMs: maxDurationSec * 1000,
+      onStdout: options.onStdout,
+      onStderr: options.onStderr,
+    });
+  }
+
+  async systemCommand(name, { asJson = false } = {}) {
+    const formatArgs = asJson ? JSON_FORMAT_ARGS : [];
+    const run = (args, list = true) => (asJson ? this.runDockerJson([...args, ...formatArgs], { list }) : this.runDocker(args));
     switch (name) {
       case "ps":
-        return this.runDocker(["ps", "-a"]);
+        return run(["ps", "-a"]);
       case "images":
-        return this.runDocker(["images"]);
+        return run(["images"]);
       case "networks":
-        return this.runDocker(["network", "ls"]);
+        return run(["network", "ls"]);
       case "volumes":
-        return this.runDocker(["volume", "ls"]);
+        return run(["volume", "ls"]);
       case "info":
-        return this.runDocker(["info"]);
+        return run(["info"], false);
       case "version":
-        return this.runDocker(["version"]);
+        return run(["version"], false);
       default:
         throw new Error(`unsupported system command: ${name}`);
     }
@@ -237,13 +416,16 @@ class DockerClient {
     return this.runDocker(args);
   }
 
-  async containerStatus(containerName) {
+  async containerStatus(containerName, { asJson = false } = {}) {
     const resolved = await this.resolveContainerTarget(containerName);
-    return this.runDocker(["ps", "-a", "--filter", `name=^/${resolved}$`]);
+    const args = ["ps", "-a", "--filter", `name=^/${resolved}$`];
+    if (asJson) {
+      return this.runDockerJson([...args, ...JSON_FORMAT_ARGS], { list: true });
+    }
+    return this.runDocker(args);
   }
 
-  async containerLogs(containerName, options = {}) {
-    const resolved = await this.resolveContainerTarget(containerName);
+  buildContainerLogArgs(resolved, options = {}) {
     const args = ["logs"];
     const tail = parsePositiveInt(options.tail, this.config.defaultLogTail, { min: 1, max: this.config.maxLogLines });
     args.push("--tail", String(tail));
@@ -253,12 +435,32 @@ class DockerClient {
     if (normalizeValue(options.timestamps) === "1") {
       args.push("--timestamps");
     }
+    if (options.follow) {
+      args.push("--follow");
+    }
     args.push(resolved);
-    return this.runDocker(args, { allowFailure: true });
+    return args;
+  }
+
+  async containerLogs(containerName, options = {}) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    return this.runDocker(this.buildContainerLogArgs(resolved, options), { allowFailure: true });
+  }
+
+  async followContainerLogs(containerName, options = {}) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    return streamCommand(this.config.dockerBin, this.buildContainerLogArgs(resolved, { ...options, follow: true }), {
+      maxDurationMs: options.maxDurationMs || this.config.streamMaxDurationSec * 1000,
+      onStdout: options.onStdout,
+      onStderr: options.onStderr,
+    });
   }
 
-  async containerInspect(containerName) {
+  async containerInspect(containerName, { asJson = false } = {}) {
     const resolved = await this.resolveContainerTarget(containerName);
+    if (asJson) {
+      return this.runDockerJson(["inspect", resolved], { list: true });
+    }
     return this.runDocker(["inspect", resolved]);
   }
 
@@ -267,8 +469,11 @@ class DockerClient {
     return this.runDocker(["top", resolved], { allowFailure: true });
   }
 
-  async containerStats(containerName) {
+  async containerStats(containerName, { asJson = false } = {}) {
     const resolved = await this.resolveContainerTarget(containerName);
+    if (asJson) {
+      return this.runDockerJson(["stats", "--no-stream", ...JSON_FORMAT_ARGS, resolved], { list: true, allowFailure: true });
+    }
     return this.runDocker(["stats", "--no-stream", resolved], { allowFailure: true });
   }
 
@@ -319,6 +524,91 @@ class DockerClient {
     return this.runDocker(["exec", resolved, safeShell, "-lc", command], { allowFailure: true });
   }
 
+  composeBaseArgs() {
+    const projectDir = this.config.composeProjectDir;
+    const args = ["compose", "--project-directory", projectDir, "-f", path.resolve(projectDir, this.config.composeFile)];
+    const envFile = path.resolve(projectDir, this.config.composeEnvFile);
+    if (fs.existsSync(envFile)) {
+      args.push("--env-file", envFile);
+    }
+    if (this.config.composeProjectName) {
+      args.push("-p", this.config.composeProjectName);
+    }
+    return args;
+  }
+
+  async composeServiceNames() {
+    const result = await this.runDocker([...this.composeBaseArgs(), "config", "--services"], { timeoutMs: 15000 });
+    return String(result.stdout || "")
+      .split(/\r?\n/g)
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+
+  async assertComposeService(serviceName) {
+    const service = normalizeValue(serviceName);
+    const services = isContainerNameValid(service) ? await this.composeServiceNames() : [];
+    if (!services.includes(service)) {
+      const error = new Error(`unknown compose service: ${service}. Known services: ${services.join(", ")}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return service;
+  }
+
+  async composeServices() {
+    const services = await this.composeServiceNames();
+    // a failing `compose ps` must surface as an error, not as every service being "not created"
+    const result = await this.runDocker([...this.composeBaseArgs(), "ps", "-a", "--format", "json"]);
+    const list = parseDockerList(result.stdout) || [];
+    const rows = services.map((service) => {
+      const container = list.find((item) => item && item.Service === service) || null;
+      return {
+        service,
+        container: container ? container.Name || "" : "",
+        image: container ? container.Image || "" : "",
+        state: container ? container.State || "" : "not created",
+        status: container ? container.Status || "" : "",
+        health: container ? container.Health || "" : "",
+      };
+    });
+    const table = rows.map((row) => [row.service, row.state, row.health || "-", row.container || "-", row.status || "-"].join("\t"));
+    return {
+      ...result,
+      stdout: ["SERVICE\tSTATE\tHEALTH\tCONTAINER\tSTATUS", ...table].join("\n"),
+      data: rows,
+    };
+  }
+
+  async composeAction(actionName, serviceName) {
+    const action = COMPOSE_ACTIONS[normalizeValue(actionName).toLowerCase()];
+    if (!action) {
+      throw new Error(`unsupported compose action: ${actionName}`);
+    }
+    if (!normalizeValue(serviceName)) {
+      return this.runDocker([...this.composeBaseArgs(), ...action.stackArgs], { allowFailure: true });
+    }
+    const service = await this.assertComposeService(serviceName);
+    return this.runDocker([...this.composeBaseArgs(), ...action.serviceArgs, service], { allowFailure: true });
+  }
+
+  assertImageRef(imageRef) {
+    const ref = normalizeValue(imageRef);
+    if (!IMAGE_REF_PATTERN.test(ref)) {
+      throw new Error(`invalid image reference: ${imageRef}`);
+    }
+    return ref;
+  }
+
+  async imageInspect(imageRef) {
+    const ref = this.assertImageRef(imageRef);
+    return this.runDockerJson(["image", "inspect", ref], { list: true, allowFailure: true });
+  }
+
+  async imageTag(sourceRef, targetRef) {
+    return this.runDocker(["image", "tag", this.assertImageRef(sourceRef), this.assertImageRef(targetRef)]);
+  }
+
   async containerRaw(containerName, args) {
     const resolved = await this.resolveContainerTarget(containerName);
     if (!Array.isArray(args) || args.length === 0) {
@@ -330,5 +620,7 @@ class DockerClient {
 
 module.exports = {
   DockerClient,
+  parseDockerJson,
+  parseDockerList,
   parsePositiveInt,
 };
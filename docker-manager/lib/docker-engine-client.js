@@ -0,0 +1,833 @@
+"use strict";
+
+const http = require("http");
+const { StringDecoder } = require("string_decoder");
+
+const { normalizeValue } = require("./config");
+const { createCancelledError, currentAbortSignal } = require("./command-runner");
+const { DockerClient, parsePositiveInt } = require("./docker-client");
+
+const RELATIVE_SINCE_PATTERN = /^(\d+)(s|m|h)$/;
+const RELATIVE_SINCE_SECONDS = { s: 1, m: 60, h: 3600 };
+const EXEC_EXIT_POLL_ATTEMPTS = 10;
+const EXEC_EXIT_POLL_DELAY_MS = 50;
+
+const PRUNE_PATHS = {
+  containers: [["/containers/prune", {}]],
+  images: [["/images/prune", { filters: JSON.stringify({ dangling: ["false"] }) }]],
+  networks: [["/networks/prune", {}]],
+  volumes: [["/volumes/prune", {}]],
+  builder: [["/build/prune", { all: "1" }]],
+};
+// mirrors `docker system prune -f`: stopped containers, unused networks, dangling images, build cache
+PRUNE_PATHS.all = [
+  ["/containers/prune", {}],
+  ["/networks/prune", {}],
+  ["/images/prune", {}],
+  ["/build/prune", {}],
+];
+
+const CONTAINER_ACTION_REQUESTS = {
+  start: ["POST", "start"],
+  stop: ["POST", "stop"],
+  restart: ["POST", "restart"],
+  pause: ["POST", "pause"],
+  unpause: ["POST", "unpause"],
+  kill: ["POST", "kill"],
+};
+
+const describeEnginePath = (apiPath) =>
+  apiPath.replace(/^\/(containers|exec|images|networks|volumes)\/(?!json$|prune$|create$)[^/]+/, "/$1/{id}");
+
+const buildQueryString = (query) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null && value !== "") {
+      params.set(key, String(value));
+    }
+  }
+  const text = params.toString();
+  return text ? `?${text}` : "";
+};
+
+const parseJsonBody = (buffer) => {
+  const text = buffer.toString("utf8");
+  if (!text.trim()) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+const readErrorMessage = (buffer) => {
+  const payload = parseJsonBody(buffer);
+  if (payload && payload.message) {
+    return String(payload.message);
+  }
+  return buffer.toString("utf8").trim();
+};
+
+const isOkStatus = (statusCode) => (statusCode >= 200 && statusCode < 300) || statusCode === 304;
+
+// Non-TTY containers multiplex stdout/stderr into 8-byte framed chunks; TTY ones send raw bytes.
+const createStreamDemuxer = ({ onStdout, onStderr }) => {
+  const decoders = { stdout: new StringDecoder("utf8"), stderr: new StringDecoder("utf8") };
+  const emit = (stream, buffer) => {
+    const text = decoders[stream].write(buffer);
+    const handler = stream === "stderr" ? onStderr : onStdout;
+    if (text && typeof handler === "function") {
+      handler(text);
+    }
+  };
+  let pending = Buffer.alloc(0);
+  let mode = "";
+  return {
+    push(chunk) {
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      if (!mode) {
+        if (pending.length < 8) {
+          return;
+        }
+        const framed = pending[0] <= 2 && pending[1] === 0 && pending[2] === 0 && pending[3] === 0;
+        mode = framed ? "framed" : "raw";
+      }
+      if (mode === "raw") {
+        emit("stdout", pending);
+        pending = Buffer.alloc(0);
+        return;
+      }
+      while (pending.length >= 8) {
+        const size = pending.readUInt32BE(4);
+        if (pending.length < 8 + size) {
+          break;
+        }
+        emit(pending[0] === 2 ? "stderr" : "stdout", pending.subarray(8, 8 + size));
+        pending = pending.subarray(8 + size);
+      }
+    },
+    flush() {
+      if (pending.length > 0) {
+        emit("stdout", pending);
+        pending = Buffer.alloc(0);
+      }
+      for (const stream of ["stdout", "stderr"]) {
+        const handler = stream === "stderr" ? onStderr : onStdout;
+        const text = decoders[stream].end();
+        if (text && typeof handler === "function") {
+          handler(text);
+        }
+      }
+    },
+  };
+};
+
+const renderTable = (headers, rows) => {
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map((row) => String(row[index] ?? "").length)));
+  const formatRow = (row) =>
+    row
+      .map((cell, index) => (index === row.length - 1 ? String(cell ?? "") : String(cell ?? "").padEnd(widths[index])))
+      .join("   ")
+      .trimEnd();
+  return [formatRow(headers), ...rows.map(formatRow)].join("\n");
+};
+
+const formatBytes = (value, binary) => {
+  const base = binary ? 1024 : 1000;
+  const units = binary ? ["B", "KiB", "MiB", "GiB", "TiB"] : ["B", "kB", "MB", "GB", "TB"];
+  let amount = Number(value) || 0;
+  let index = 0;
+  while (amount >= base && index < units.length - 1) {
+    amount /= base;
+    index += 1;
+  }
+  return `${index === 0 ? amount : amount.toFixed(2).replace(/\.?0+$/, "")}${units[index]}`;
+};
+
+const formatCreatedAt = (seconds) => (Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : "");
+
+const formatPorts = (ports) =>
+  (Array.isArray(ports) ? ports : [])
+    .map((port) =>
+      port.PublicPort ? `${port.IP || "0.0.0.0"}:${port.PublicPort}->${port.PrivatePort}/${port.Type}` : `${port.PrivatePort}/${port.Type}`,
+    )
+    .join(", ");
+
+// Keeps the `docker ps --format '{{json .}}'` field names so JSON consumers do not care about the backend.
+const toContainerRow = (item) => ({
+  ID: String(item.Id || "").slice(0, 12),
+  Image: item.Image || "",
+  Command: item.Command ? `"${item.Command}"` : "",
+  CreatedAt: formatCreatedAt(item.Created),
+  Names: (item.Names || []).map((name) => name.replace(/^\//, "")).join(","),
+  State: item.State || "",
+  Status: item.Status || "",
+  Ports: formatPorts(item.Ports),
+  Labels: Object.entries(item.Labels || {})
+    .map(([key, value]) => `${key}=${value}`)
+    .join(","),
+});
+
+const toImageRows = (item) => {
+  const tags = Array.isArray(item.RepoTags) && item.RepoTags.length > 0 ? item.RepoTags : ["<none>:<none>"];
+  return tags.map((tag) => {
+    const index = tag.lastIndexOf(":");
+    return {
+      ID: String(item.Id || "")
+        .replace(/^sha256:/, "")
+        .slice(0, 12),
+      Repository: index > 0 ? tag.slice(0, index) : tag,
+      Tag: index > 0 ? tag.slice(index + 1) : "",
+      CreatedAt: formatCreatedAt(item.Created),
+      Size: formatBytes(item.Size, false),
+    };
+  });
+};
+
+const sumNetworkBytes = (networks) => {
+  let rx = 0;
+  let tx = 0;
+  for (const item of Object.values(networks || {})) {
+    rx += item.rx_bytes || 0;
+    tx += item.tx_bytes || 0;
+  }
+  return { rx, tx };
+};
+
+const sumBlockBytes = (blkio) => {
+  let read = 0;
+  let write = 0;
+  for (const item of (blkio && blkio.io_service_bytes_recursive) || []) {
+    const op = String(item.op || "").toLowerCase();
+    if (op === "read") {
+      read += item.value || 0;
+    } else if (op === "write") {
+      write += item.value || 0;
+    }
+  }
+  return { read, write };
+};
+
+// Same fields and math as `docker stats --no-stream --format '{{json .}}'`.
+const toStatsRow = (name, stats) => {
+  const cpu = stats.cpu_stats || {};
+  const precpu = stats.precpu_stats || {};
+  const cpuDelta = ((cpu.cpu_usage && cpu.cpu_usage.total_usage) || 0) - ((precpu.cpu_usage && precpu.cpu_usage.total_usage) || 0);
+  const systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+  const onlineCpus = cpu.online_cpus || (cpu.cpu_usage && cpu.cpu_usage.percpu_usage ? cpu.cpu_usage.percpu_usage.length : 1);
+  const cpuPerc = cpuDelta > 0 && systemDelta > 0 ? (cpuDelta / systemDelta) * onlineCpus * 100 : 0;
+  const memory = stats.memory_stats || {};
+  const memoryDetail = memory.stats || {};
+  const memUsage = (memory.usage || 0) - (memoryDetail.inactive_file || memoryDetail.total_inactive_file || 0);
+  const memLimit = memory.limit || 0;
+  const net = sumNetworkBytes(stats.networks);
+  const block = sumBlockBytes(stats.blkio_stats);
+  return {
+    ID: String(stats.id || "").slice(0, 12),
+    Name: name,
+    CPUPerc: `${cpuPerc.toFixed(2)}%`,
+    MemUsage: `${formatBytes(memUsage, true)} / ${formatBytes(memLimit, true)}`,
+    MemPerc: `${(memLimit > 0 ? (memUsage / memLimit) * 100 : 0).toFixed(2)}%`,
+    NetIO: `${formatBytes(net.rx, false)} / ${formatBytes(net.tx, false)}`,
+    BlockIO: `${formatBytes(block.read, false)} / ${formatBytes(block.write, false)}`,
+    PIDs: String((stats.pids_stats && stats.pids_stats.current) || 0),
+  };
+};
+
+const toLogsSince = (value) => {
+  const raw = normalizeValue(value);
+  if (!raw) {
+    return "";
+  }
+  const relative = raw.match(RELATIVE_SINCE_PATTERN);
+  if (relative) {
+    return String(Math.floor(Date.now() / 1000) - Number.parseInt(relative[1], 10) * RELATIVE_SINCE_SECONDS[relative[2]]);
+  }
+  if (/^\d+(\.\d+)?$/.test(raw)) {
+    return raw;
+  }
+  const ts = Date.parse(raw);
+  if (!Number.isFinite(ts)) {
+    const error = new Error(`invalid logs since value: ${raw}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return String(Math.floor(ts / 1000));
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Talks to the Docker Engine API over the unix socket. Compose, image tagging and the raw
+// CLI passthroughs (system raw, container raw/update) still use the docker binary.
+class DockerEngineClient extends DockerClient {
+  constructor(config, logger, metrics = null) {
+    super(config, logger, metrics);
+    this.socketPath = config.dockerSocket;
+    this.apiMetrics = metrics
+      ? {
+          total: metrics.counter("docker_manager_docker_api_requests_total", "Docker Engine API requests by endpoint and HTTP status."),
+          duration: metrics.histogram("docker_manager_docker_api_request_duration_seconds", "Docker Engine API request duration by endpoint."),
+        }
+      : null;
+  }
+
+  openRequest(method, apiPath, { query, body, timeoutMs, signal } = {}) {
+    const requestPath = `${apiPath}${buildQueryString(query)}`;
+    const payload = body === undefined ? null : Buffer.from(JSON.stringify(body), "utf8");
+    const headers = { Host: "docker" };
+    if (payload) {
+      headers["Content-Type"] = "application/json";
+      headers["Content-Length"] = payload.length;
+    }
+    return new Promise((resolve, reject) => {
+      const abortSignal = signal || currentAbortSignal();
+      if (abortSignal && abortSignal.aborted) {
+        reject(createCancelledError(`${method} ${requestPath}`));
+        return;
+      }
+      const request = http.request({ socketPath: this.socketPath, path: requestPath, method, headers });
+      let settled = false;
+      let timeoutHandle = null;
+      const onAbort = () => {
+        request.destroy(createCancelledError(`${method} ${requestPath}`));
+      };
+      const cleanup = () => {
+        if (timeoutHandle) {
+          clearTimeout(timeoutHandle);
+        }
+        if (abortSignal) {
+          abortSignal.removeEventListener("abort", onAbort);
+        }
+      };
+      request.on("response", (response) => {
+        settled = true;
+        resolve({ request, response, requestPath, cleanup });
+      });
+      request.on("error", (error) => {
+        cleanup();
+        if (!settled) {
+          settled = true;
+          reject(error);
+        }
+      });
+      if (abortSignal) {
+        abortSignal.addEventListener("abort", onAbort, { once: true });
+      }
+      if (timeoutMs > 0) {
+        timeoutHandle = setTimeout(() => {
+          const error = new Error(`docker api timeout after ${timeoutMs}ms: ${method} ${requestPath}`);
+          error.timedOut = true;
+          request.destroy(error);
+        }, timeoutMs);
+      }
+      request.end(payload || undefined);
+    });
+  }
+
+  async engineRequest(method, apiPath, options = {}) {
+    const startedAt = Date.now();
+    const endpoint = `${method} ${describeEnginePath(apiPath)}`;
+    const timeoutMs = options.timeoutMs || this.config.commandTimeoutMs;
+    let opened;
+    try {
+      opened = await this.openRequest(method, apiPath, { ...options, timeoutMs });
+    } catch (error) {
+      if (this.apiMetrics) {
+        this.apiMetrics.total.inc({ endpoint, status: error && error.timedOut ? "timeout" : "error" });
+      }
+      throw error;
+    }
+    const { response, requestPath, cleanup } = opened;
+    const chunks = [];
+    // error bodies are plain JSON even on multiplexed endpoints
+    const demuxer = isOkStatus(response.statusCode) ? options.demuxer : null;
+    try {
+      for await (const chunk of response) {
+        if (demuxer) {
+          demuxer.push(chunk);
+        } else {
+          chunks.push(chunk);
+        }
+      }
+    } finally {
+      cleanup();
+    }
+    if (demuxer) {
+      demuxer.flush();
+    }
+    const durationMs = Date.now() - startedAt;
+    if (this.apiMetrics) {
+      this.apiMetrics.total.inc({ endpoint, status: String(response.statusCode) });
+      this.apiMetrics.duration.observe({ endpoint }, durationMs / 1000);
+    }
+    return {
+      statusCode: response.statusCode,
+      body: Buffer.concat(chunks),
+      command: `docker-api ${method} ${requestPath}`,
+      argv: [method, requestPath],
+      durationMs,
+    };
+  }
+
+  buildResult(response, { stdout = "", stderr = "", code = null, data } = {}) {
+    const exitCode = code === null ? (isOkStatus(response.statusCode) ? 0 : 1) : code;
+    const result = {
+      command: response.command,
+      argv: response.argv,
+      stdout,
+      stderr: stderr || (isOkStatus(response.statusCode) ? "" : `${readErrorMessage(response.body)}\n`),
+      durationMs: response.durationMs,
+      code: exitCode,
+      signal: null,
+      ok: exitCode === 0,
+      httpStatus: response.statusCode,
+    };
+    if (data !== undefined) {
+      result.data = exitCode === 0 ? data : null;
+    }
+    return result;
+  }
+
+  finishResult(result, options = {}) {
+    if (!options.allowFailure && result.code !== 0) {
+      const detail = normalizeValue(result.stderr) || normalizeValue(result.stdout) || `exit ${result.code}`;
+      const error = new Error(`docker api request failed: ${detail}`);
+      error.result = result;
+      throw error;
+    }
+    return result;
+  }
+
+  async engineJson(method, apiPath, options = {}) {
+    const response = await this.engineRequest(method, apiPath, options);
+    const data = isOkStatus(response.statusCode) ? parseJsonBody(response.body) : null;
+    return { response, data };
+  }
+
+  async containerExists(containerName) {
+    const response = await this.engineRequest("GET", `/containers/${encodeURIComponent(containerName)}/json`, { timeoutMs: 5000 });
+    return response.statusCode === 200;
+  }
+
+  async listContainers(filters, all) {
+    const { response, data } = await this.engineJson("GET", "/containers/json", {
+      query: { all: all ? "1" : "", filters: JSON.stringify(filters) },
+      timeoutMs: 5000,
+    });
+    return { response, items: Array.isArray(data) ? data : [] };
+  }
+
+  async findContainerByComposeService(serviceName) {
+    const service = normalizeValue(serviceName);
+    if (!service) {
+      return "";
+    }
+    const filters = { label: [`com.docker.compose.service=${service}`] };
+    const running = await this.listContainers(filters, false);
+    const candidates = running.items.length > 0 ? running.items : (await this.listContainers(filters, true)).items;
+    const first = candidates[0];
+    return first && first.Names && first.Names[0] ? first.Names[0].replace(/^\//, "") : "";
+  }
+
+  async runExec(resolved, commandArgs, options = {}) {
+    const created = await this.engineJson("POST", `/containers/${encodeURIComponent(resolved)}/exec`, {
+      body: { Cmd: commandArgs, AttachStdout: true, AttachStderr: true, Tty: false },
+    });
+    if (!created.data || !created.data.Id) {
+      return this.finishResult(this.buildResult(created.response), options);
+    }
+    let stdout = "";
+    let stderr = "";
+    const demuxer = createStreamDemuxer({
+      onStdout: (text) => {
+        stdout += text;
+      },
+      onStderr: (text) => {
+        stderr += text;
+      },
+    });
+    const started = await this.engineRequest("POST", `/exec/${created.data.Id}/start`, {
+      body: { Detach: false, Tty: false },
+      timeoutMs: options.timeoutMs,
+      demuxer,
+    });
+    const exitCode = await this.readExecExitCode(created.data.Id);
+    const result = this.buildResult(started, { stdout, stderr, code: isOkStatus(started.statusCode) ? exitCode : 1 });
+    result.command = `docker-api exec ${resolved} ${commandArgs.join(" ")}`;
+    result.argv = ["exec", resolved, ...commandArgs];
+    result.durationMs += created.response.durationMs;
+    if (!isOkStatus(started.statusCode)) {
+      result.stderr = `${readErrorMessage(started.body)}\n`;
+    }
+    return this.finishResult(result, options);
+  }
+
+  async readExecExitCode(execId) {
+    for (let attempt = 0; attempt < EXEC_EXIT_POLL_ATTEMPTS; attempt += 1) {
+      const { data } = await this.engineJson("GET", `/exec/${execId}/json`, { timeoutMs: 5000 });
+      if (data && !data.Running && Number.isInteger(data.ExitCode)) {
+        return data.ExitCode;
+      }
+      await delay(EXEC_EXIT_POLL_DELAY_MS);
+    }
+    return 1;
+  }
+
+  async execInContainer(containerName, commandArgs, options = {}) {
+    if (options.input) {
+      return super.execInContainer(containerName, commandArgs, options);
+    }
+    const resolved = await this.resolveContainerTarget(containerName);
+    return this.runExec(resolved, commandArgs, options);
+  }
+
+  async containerExec(containerName, shellName, commandText) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    const shell = normalizeValue(shellName) || this.config.execShell;
+    const safeShell = ["sh", "bash", "zsh", "ash"].includes(shell) ? shell : "sh";
+    const command = normalizeValue(commandText);
+    if (!command) {
+      throw new Error("container exec requires command");
+    }
+    return this.runExec(resolved, [safeShell, "-lc", command], { allowFailure: true });
+  }
+
+  // Returns the same { command, done, stop } handle as streamCommand.
+  async openStream(method, apiPath, { query, body, maxDurationMs, onStdout, onStderr, describe, onEnd } = {}) {
+    const startedAt = Date.now();
+    const opened = await this.openRequest(method, apiPath, { query, body });
+    const { request, response, requestPath, cleanup } = opened;
+    cleanup();
+    let stopReason = "";
+    let maxDurationHandle = null;
+    const stop = (reason) => {
+      if (!stopReason) {
+        stopReason = reason || "stopped";
+      }
+      request.destroy();
+    };
+    const demuxer = createStreamDemuxer({ onStdout, onStderr });
+    const done = new Promise((resolve) => {
+      let finished = false;
+      const finish = async () => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        if (maxDurationHandle) {
+          clearTimeout(maxDurationHandle);
+        }
+        demuxer.flush();
+        let code = isOkStatus(response.statusCode) ? 0 : 1;
+        if (code === 0 && typeof onEnd === "function") {
+          code = await onEnd().catch(() => 1);
+        }
+        resolve({
+          command: describe || `docker-api ${method} ${requestPath}`,
+          argv: [method, requestPath],
+          code,
+          signal: null,
+          ok: code === 0,
+          durationMs: Date.now() - startedAt,
+          stopReason,
+        });
+      };
+      response.on("data", (chunk) => {
+        if (isOkStatus(response.statusCode)) {
+          demuxer.push(chunk);
+        } else if (typeof onStderr === "function") {
+          onStderr(readErrorMessage(chunk));
+        }
+      });
+      response.once("end", finish);
+      response.once("close", finish);
+      response.once("error", finish);
+    });
+    if (maxDurationMs > 0) {
+      maxDurationHandle = setTimeout(() => {
+        stop(`max duration ${maxDurationMs}ms reached`);
+      }, maxDurationMs);
+    }
+    return {
+      command: describe || `docker-api ${method} ${requestPath}`,
+      done,
+      stop,
+      pause: () => response.pause(),
+      resume: () => response.resume(),
+    };
+  }
+
+  async followNginxLogs(logType, options = {}) {
+    const logFile = this.resolveNginxLogFile(logType);
+    const tail = parsePositiveInt(options.tail, this.config.defaultLogTail, { min: 1, max: this.config.maxLogLines });
+    const resolved = await this.resolveContainerTarget(this.config.nginxContainer);
+    const maxDurationSec = this.config.streamMaxDurationSec;
+    // `timeout` bounds the tail inside the container even after the API connection is closed
+    const commandArgs = ["timeout", String(maxDurationSec), "tail", "-n", String(tail), "-F", logFile];
+    return this.streamExec(resolved, commandArgs, { ...options, maxDurationMs: maxDurationSec * 1000 });
+  }
+
+  async watchTailscaleIpn(options = {}) {
+    const resolved = await this.resolveContainerTarget(this.config.tailscaleContainer);
+    const maxDurationSec = this.config.tailscaleWatchMaxSec;
+    const commandArgs = ["timeout", String(maxDurationSec), "tailscale", "debug", "watch-ipn", "--initial"];
+    return this.streamExec(resolved, commandArgs, { ...options, maxDurationMs: maxDurationSec * 1000 });
+  }
+
+  async streamExec(resolved, commandArgs, { maxDurationMs, onStdout, onStderr }) {
+    const created = await this.engineJson("POST", `/containers/${encodeURIComponent(resolved)}/exec`, {
+      body: { Cmd: commandArgs, AttachStdout: true, AttachStderr: true, Tty: false },
+    });
+    if (!created.data || !created.data.Id) {
+      throw new Error(`docker api exec create failed: ${readErrorMessage(created.response.body)}`);
+    }
+    const execId = created.data.Id;
+    return this.openStream("POST", `/exec/${execId}/start`, {
+      body: { Detach: false, Tty: false },
+      maxDurationMs,
+      onStdout,
+      onStderr,
+      describe: `docker-api exec ${resolved} ${commandArgs.join(" ")}`,
+      onEnd: () => this.readExecExitCode(execId),
+    });
+  }
+
+  async systemCommand(name, { asJson = false } = {}) {
+    const render = (response, rows, headers, pick) => {
+      const stdout = asJson ? rows.map((row) => JSON.stringify(row)).join("\n") : renderTable(headers, rows.map(pick));
+      return this.finishResult(this.buildResult(response, { stdout, data: asJson ? rows : undefined }));
+    };
+    switch (name) {
+      case "ps": {
+        const { response, data } = await this.engineJson("GET", "/containers/json", { query: { all: "1" } });
+        const rows = (Array.isArray(data) ? data : []).map(toContainerRow);
+        return render(response, rows, ["CONTAINER ID", "IMAGE", "COMMAND", "CREATED", "STATUS", "PORTS", "NAMES"], (row) => [
+          row.ID,
+          row.Image,
+          row.Command,
+          row.CreatedAt,
+          row.Status,
+          row.Ports,
+          row.Names,
+        ]);
+      }
+      case "images": {
+        const { response, data } = await this.engineJson("GET", "/images/json");
+        const rows = (Array.isArray(data) ? data : []).flatMap(toImageRows);
+        return render(response, rows, ["REPOSITORY", "TAG", "IMAGE ID", "CREATED", "SIZE"], (row) => [
+          row.Repository,
+          row.Tag,
+          row.ID,
+          row.CreatedAt,
+          row.Size,
+        ]);
+      }
+      case "networks": {
+        const { response, data } = await this.engineJson("GET", "/networks");
+        const rows = (Array.isArray(data) ? data : []).map((item) => ({
+          ID: String(item.Id || "").slice(0, 12),
+          Name: item.Name || "",
+          Driver: item.Driver || "",
+          Scope: item.Scope || "",
+        }));
+        return render(response, rows, ["NETWORK ID", "NAME", "DRIVER", "SCOPE"], (row) => [row.ID, row.Name, row.Driver, row.Scope]);
+      }
+      case "volumes": {
+        const { response, data } = await this.engineJson("GET", "/volumes");
+        const rows = ((data && data.Volumes) || []).map((item) => ({
+          Driver: item.Driver || "",
+          Name: item.Name || "",
+          Mountpoint: item.Mountpoint || "",
+        }));
+        return render(response, rows, ["DRIVER", "VOLUME NAME"], (row) => [row.Driver, row.Name]);
+      }
+      case "info":
+      case "version": {
+        const { response, data } = await this.engineJson("GET", `/${name}`);
+        const payload = name === "version" ? { Client: null, Server: data } : data;
+        const stdout = asJson ? JSON.stringify(payload) : JSON.stringify(payload, null, 2);
+        return this.finishResult(this.buildResult(response, { stdout, data: asJson ? payload : undefined }));
+      }
+      default:
+        throw new Error(`unsupported system command: ${name}`);
+    }
+  }
+
+  async systemPrune(scope) {
+    const normalized = normalizeValue(scope).toLowerCase() || "all";
+    const steps = PRUNE_PATHS[normalized];
+    if (!steps) {
+      throw new Error(`unsupported prune scope: ${scope}`);
+    }
+    const lines = [];
+    let last = null;
+    let totalDurationMs = 0;
+    for (const [apiPath, query] of steps) {
+      const { response, data } = await this.engineJson("POST", apiPath, { query });
+      last = response;
+      totalDurationMs += response.durationMs;
+      if (!isOkStatus(response.statusCode)) {
+        return this.finishResult(this.buildResult(response));
+      }
+      const deleted =
+        (data && (data.ContainersDeleted || data.NetworksDeleted || data.VolumesDeleted || data.CachesDeleted || data.ImagesDeleted)) || [];
+      lines.push(`${apiPath}: deleted ${deleted.length}, reclaimed ${formatBytes((data && data.SpaceReclaimed) || 0, false)}`);
+    }
+    const result = this.buildResult(last, { stdout: `${lines.join("\n")}\n` });
+    result.command = `docker-api prune ${normalized}`;
+    result.argv = ["POST", ...steps.map(([apiPath]) => apiPath)];
+    result.durationMs = totalDurationMs;
+    return result;
+  }
+
+  async containerStatus(containerName, { asJson = false } = {}) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    const { response, items } = await this.listContainers({ name: [`^/${resolved}$`] }, true);
+    const rows = items.map(toContainerRow);
+    if (asJson) {
+      return this.finishResult(
+        this.buildResult(response, { stdout: rows.map((row) => JSON.stringify(row)).join("\n"), data: rows }),
+      );
+    }
+    const table = renderTable(
+      ["CONTAINER ID", "IMAGE", "COMMAND", "CREATED", "STATUS", "PORTS", "NAMES"],
+      rows.map((row) => [row.ID, row.Image, row.Command, row.CreatedAt, row.Status, row.Ports, row.Names]),
+    );
+    return this.finishResult(this.buildResult(response, { stdout: table }));
+  }
+
+  buildLogsQuery(options = {}) {
+    const tail = parsePositiveInt(options.tail, this.config.defaultLogTail, { min: 1, max: this.config.maxLogLines });
+    return {
+      stdout: "1",
+      stderr: "1",
+      tail: String(tail),
+      since: toLogsSince(options.since),
+      timestamps: normalizeValue(options.timestamps) === "1" ? "1" : "",
+      follow: options.follow ? "1" : "",
+    };
+  }
+
+  async containerLogs(containerName, options = {}) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    let stdout = "";
+    let stderr = "";
+    const demuxer = createStreamDemuxer({
+      onStdout: (text) => {
+        stdout += text;
+      },
+      onStderr: (text) => {
+        stderr += text;
+      },
+    });
+    const query = this.buildLogsQuery(options);
+    const apiPath = `/containers/${encodeURIComponent(resolved)}/logs`;
+    const response = await this.engineRequest("GET", apiPath, { query, demuxer });
+    return this.buildResult(response, { stdout, stderr });
+  }
+
+  async followContainerLogs(containerName, options = {}) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    return this.openStream("GET", `/containers/${encodeURIComponent(resolved)}/logs`, {
+      query: this.buildLogsQuery({ ...options, follow: true }),
+      maxDurationMs: options.maxDurationMs || this.config.streamMaxDurationSec * 1000,
+      onStdout: options.onStdout,
+      onStderr: options.onStderr,
+    });
+  }
+
+  async containerInspect(containerName, { asJson = false } = {}) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    const { response, data } = await this.engineJson("GET", `/containers/${encodeURIComponent(resolved)}/json`);
+    // `docker inspect` always prints an array
+    const items = data ? [data] : [];
+    return this.finishResult(
+      this.buildResult(response, { stdout: JSON.stringify(items, null, 4), data: asJson ? items : undefined }),
+    );
+  }
+
+  async containerTop(containerName) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    const { response, data } = await this.engineJson("GET", `/containers/${encodeURIComponent(resolved)}/top`);
+    const stdout = data ? renderTable(data.Titles || [], data.Processes || []) : "";
+    return this.buildResult(response, { stdout });
+  }
+
+  async containerStats(containerName, { asJson = false } = {}) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    const { response, data } = await this.engineJson("GET", `/containers/${encodeURIComponent(resolved)}/stats`, {
+      query: { stream: "false" },
+    });
+    const row = data ? toStatsRow(resolved, data) : null;
+    if (asJson) {
+      return this.buildResult(response, { stdout: row ? JSON.stringify(row) : "", data: row ? [row] : [] });
+    }
+    const stdout = row
+      ? renderTable(
+          ["CONTAINER ID", "NAME", "CPU %", "MEM USAGE / LIMIT", "MEM %", "NET I/O", "BLOCK I/O", "PIDS"],
+          [[row.ID, row.Name, row.CPUPerc, row.MemUsage, row.MemPerc, row.NetIO, row.BlockIO, row.PIDs]],
+        )
+      : "";
+    return this.buildResult(response, { stdout });
+  }
+
+  async containerMutate(containerName, commandName) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    const target = `/containers/${encodeURIComponent(resolved)}`;
+    let request;
+    if (commandName === "rm") {
+      request = ["DELETE", target, { query: { force: "1" } }];
+    } else if (CONTAINER_ACTION_REQUESTS[commandName]) {
+      const [method, action] = CONTAINER_ACTION_REQUESTS[commandName];
+      request = [method, `${target}/${action}`, {}];
+    } else {
+      throw new Error(`unsupported container command: ${commandName}`);
+    }
+    const [method, apiPath, options] = request;
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await this.engineRequest(method, apiPath, options);
+    } catch (error) {
+      // the CLI exits 1 when it cannot reach the daemon; only timeouts and cancellations throw there
+      if (error && (error.timedOut || error.cancelled)) {
+        throw error;
+      }
+      const requestPath = `${apiPath}${buildQueryString(options.query)}`;
+      return {
+        command: `docker-api ${method} ${requestPath}`,
+        argv: [method, requestPath],
+        stdout: "",
+        stderr: `cannot reach docker daemon at ${this.socketPath}: ${error && error.message ? error.message : String(error)}\n`,
+        durationMs: Date.now() - startedAt,
+        code: 1,
+        signal: null,
+        ok: false,
+      };
+    }
+    return this.buildResult(response, { stdout: isOkStatus(response.statusCode) ? `${resolved}\n` : "" });
+  }
+
+  async imageInspect(imageRef) {
+    const ref = this.assertImageRef(imageRef);
+    // image names keep their slashes in the path, the daemon matches the rest of it
+    const { response, data } = await this.engineJson("GET", `/images/${ref}/json`);
+    const items = data ? [data] : [];
+    return this.buildResult(response, { stdout: JSON.stringify(items, null, 4), data: items });
+  }
+
+  async containerRename(containerName, toName) {
+    const resolved = await this.resolveContainerTarget(containerName);
+    this.assertContainerName(toName);
+    const response = await this.engineRequest("POST", `/containers/${encodeURIComponent(resolved)}/rename`, {
+      query: { name: toName },
+    });
+    return this.buildResult(response);
+  }
+}
+
+module.exports = {
+  DockerEngineClient,
+};
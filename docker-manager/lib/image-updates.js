@@ -0,0 +1,229 @@
+"use strict";
+
+const { normalizeValue } = require("./config");
+const { probeUrl } = require("./container-watchdog");
+
+const HEALTH_POLL_INTERVAL_MS = 2000;
+// containers without a docker healthcheck must stay running this long to count as healthy
+const STABLE_RUNNING_MS = 10000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const shortId = (imageId) =>
+  normalizeValue(imageId)
+    .replace(/^sha256:/, "")
+    .slice(0, 12);
+
+const pickDigest = (imageInfo) => {
+  const digests = imageInfo && Array.isArray(imageInfo.RepoDigests) ? imageInfo.RepoDigests : [];
+  const first = digests[0] || "";
+  const index = first.indexOf("@");
+  return index >= 0 ? first.slice(index + 1) : "";
+};
+
+const readFirstItem = (result) => (result && result.code === 0 && Array.isArray(result.data) ? result.data[0] || null : null);
+
+// Multi-step operations report through the same result shape as a single docker command.
+const createStepRecorder = (command) => {
+  const startedAt = Date.now();
+  const steps = [];
+  const lines = [];
+  return {
+    steps,
+    note(text) {
+      lines.push(text);
+    },
+    record(step, result) {
+      steps.push({
+        step,
+        command: result ? result.command : "",
+        code: result && typeof result.code === "number" ? result.code : null,
+        durationMs: result ? result.durationMs : null,
+      });
+      lines.push(`[${step}] ${result ? `${result.command} -> exit ${result.code}` : "skipped"}`);
+      if (result && result.code !== 0 && normalizeValue(result.stderr)) {
+        lines.push(normalizeValue(result.stderr));
+      }
+    },
+    finish(code, data, stderr = "") {
+      return {
+        command,
+        argv: [],
+        stdout: `${lines.join("\n")}\n`,
+        stderr,
+        durationMs: Date.now() - startedAt,
+        code,
+        signal: null,
+        ok: code === 0,
+        data: { ...data, steps },
+      };
+    },
+  };
+};
+
+const checkImageUpdates = async ({ dockerClient, pull = false }) => {
+  const recorder = createStepRecorder(`check image updates${pull ? " (pull)" : ""}`);
+  if (pull) {
+    recorder.record("pull", await dockerClient.composeAction("pull", ""));
+  }
+  const services = await dockerClient.composeServices();
+  const imageCache = new Map();
+  const inspectImage = async (ref) => {
+    if (!imageCache.has(ref)) {
+      imageCache.set(ref, readFirstItem(await dockerClient.imageInspect(ref)));
+    }
+    return imageCache.get(ref);
+  };
+
+  const rows = [];
+  for (const row of services.data) {
+    if (!row.container) {
+      rows.push({ service: row.service, container: "", image: "", state: row.state, updateAvailable: false, detail: "no container" });
+      continue;
+    }
+    const info = readFirstItem(await dockerClient.containerInspect(row.container, { asJson: true }));
+    if (!info) {
+      rows.push({ service: row.service, container: row.container, image: "", state: row.state, updateAvailable: false, detail: "inspect failed" });
+      continue;
+    }
+    const imageRef = info.Config && info.Config.Image ? info.Config.Image : "";
+    const runningImage = await inspectImage(info.Image);
+    const localImage = imageRef ? await inspectImage(imageRef) : null;
+    const localImageId = localImage ? localImage.Id : "";
+    rows.push({
+      service: row.service,
+      container: row.container,
+      image: imageRef,
+      state: row.state,
+      runningImageId: info.Image,
+      runningDigest: pickDigest(runningImage),
+      localImageId,
+      localDigest: pickDigest(localImage),
+      updateAvailable: Boolean(localImageId) && localImageId !== info.Image,
+      detail: localImageId ? "" : "tag not present locally",
+    });
+  }
+
+  const outdated = rows.filter((row) => row.updateAvailable);
+  recorder.note("SERVICE\tUPDATE\tIMAGE\tRUNNING\tLOCAL");
+  for (const row of rows) {
+    const running = shortId(row.runningImageId) || "-";
+    const local = shortId(row.localImageId) || row.detail || "-";
+    recorder.note([row.service, row.updateAvailable ? "yes" : "no", row.image || "-", running, local].join("\t"));
+  }
+  return recorder.finish(0, { services: rows, outdated: outdated.map((row) => row.service) });
+};
+
+const waitForHealthy = async ({ dockerClient, config, service, timeoutMs }) => {
+  const deadline = Date.now() + timeoutMs;
+  const probe = config.watchdogProbes.get(service) || "";
+  let runningSince = 0;
+  let lastDetail = "container not found";
+  while (Date.now() < deadline) {
+    let info = null;
+    try {
+      info = readFirstItem(await dockerClient.containerInspect(service, { asJson: true }));
+    } catch (error) {
+      lastDetail = error && error.message ? error.message : String(error);
+    }
+    if (info && info.State) {
+      const health = info.State.Health ? info.State.Health.Status : "";
+      if (info.State.Status !== "running") {
+        runningSince = 0;
+        lastDetail = `container is ${info.State.Status}`;
+      } else if (health === "unhealthy") {
+        return { ok: false, detail: "docker health check reports unhealthy" };
+      } else if (health === "starting") {
+        lastDetail = "health check starting";
+      } else {
+        runningSince = runningSince || Date.now();
+        const stable = health === "healthy" || Date.now() - runningSince >= STABLE_RUNNING_MS;
+        let probeOk = true;
+        if (stable && probe) {
+          const probeResult = await probeUrl(probe, config.watchdogProbeTimeoutMs);
+          probeOk = probeResult.ok;
+          lastDetail = probeResult.detail;
+        }
+        if (stable && probeOk) {
+          return { ok: true, detail: health ? `health ${health}` : "running" };
+        }
+      }
+    }
+    await delay(HEALTH_POLL_INTERVAL_MS);
+  }
+  return { ok: false, detail: `not healthy after ${Math.round(timeoutMs / 1000)}s: ${lastDetail}` };
+};
+
+const runUpgrade = async ({ dockerClient, config, logger, service, info }) => {
+  const recorder = createStepRecorder(`upgrade ${service}`);
+  const timeoutMs = config.upgradeHealthTimeoutSec * 1000;
+  const imageRef = info.Config.Image;
+  const previousImageId = info.Image;
+  const summary = { service, image: imageRef, previousImageId, newImageId: "", status: "", health: "" };
+
+  const pulled = await dockerClient.composeAction("pull", service);
+  recorder.record("pull", pulled);
+  if (pulled.code !== 0) {
+    return recorder.finish(1, { ...summary, status: "pull-failed" }, pulled.stderr);
+  }
+  const localImage = readFirstItem(await dockerClient.imageInspect(imageRef));
+  summary.newImageId = localImage ? localImage.Id : "";
+  if (!summary.newImageId || summary.newImageId === previousImageId) {
+    recorder.note(`${service} already runs ${shortId(previousImageId)} (${imageRef})`);
+    return recorder.finish(0, { ...summary, status: "up-to-date" });
+  }
+
+  recorder.note(`${imageRef}: ${shortId(previousImageId)} -> ${shortId(summary.newImageId)}`);
+  const recreated = await dockerClient.composeAction("recreate", service);
+  recorder.record("recreate", recreated);
+  const health =
+    recreated.code === 0 ? await waitForHealthy({ dockerClient, config, service, timeoutMs }) : { ok: false, detail: "recreate failed" };
+  recorder.note(`[health] ${health.ok ? "ok" : "failed"}: ${health.detail}`);
+  if (health.ok) {
+    logger.info("upgrade", `upgraded ${service} to ${shortId(summary.newImageId)}`, { image: imageRef });
+    return recorder.finish(0, { ...summary, status: "upgraded", health: health.detail });
+  }
+
+  // point the tag back at the old image so compose recreates from it
+  logger.warn("upgrade", `rolling back ${service} to ${shortId(previousImageId)}: ${health.detail}`, { image: imageRef });
+  recorder.record("rollback-tag", await dockerClient.imageTag(previousImageId, imageRef));
+  const rolledBack = await dockerClient.composeAction("recreate", service);
+  recorder.record("rollback-recreate", rolledBack);
+  const rollbackHealth =
+    rolledBack.code === 0 ? await waitForHealthy({ dockerClient, config, service, timeoutMs }) : { ok: false, detail: "recreate failed" };
+  recorder.note(`[rollback-health] ${rollbackHealth.ok ? "ok" : "failed"}: ${rollbackHealth.detail}`);
+  return recorder.finish(
+    1,
+    { ...summary, status: rollbackHealth.ok ? "rolled-back" : "rollback-failed", health: health.detail },
+    `upgrade of ${service} failed health check: ${health.detail}\n`,
+  );
+};
+
+const upgradeComposeService = async ({ dockerClient, config, logger, watchdog = null, service: serviceName }) => {
+  const service = await dockerClient.assertComposeService(serviceName);
+  const info = readFirstItem(await dockerClient.containerInspect(service, { asJson: true }));
+  if (!info) {
+    throw new Error(`cannot inspect running container for service: ${service}`);
+  }
+  // the recreate (and a rollback) takes the container down; the watchdog must not restart it meanwhile
+  const held = [service, String(info.Name || "").replace(/^\//, "")].filter(Boolean);
+  if (watchdog) {
+    held.forEach((name) => watchdog.setMaintenance(name, `upgrade ${service}`));
+  }
+  try {
+    return await runUpgrade({ dockerClient, config, logger, service, info });
+  } finally {
+    if (watchdog) {
+      held.forEach((name) => watchdog.clearMaintenance(name));
+    }
+  }
+};
+
+module.exports = {
+  checkImageUpdates,
+  createStepRecorder,
+  pickDigest,
+  readFirstItem,
+  shortId,
+  upgradeComposeService,
+};
@@ -0,0 +1,231 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const { runWithAbortSignal } = require("./command-runner");
+
+const FINISHED_STATUSES = new Set(["succeeded", "failed", "cancelled"]);
+
+const isFinished = (job) => FINISHED_STATUSES.has(job.status);
+
+class JobQueue {
+  constructor(options) {
+    const settings = options || {};
+    this.logger = settings.logger || null;
+    this.concurrencyPerKey = settings.concurrencyPerKey || 1;
+    this.maxRunning = settings.maxRunning || 4;
+    this.historyLimit = settings.historyLimit || 200;
+    this.onSettled = typeof settings.onSettled === "function" ? settings.onSettled : null;
+    this.jobs = new Map();
+  }
+
+  submit({ key, caller = "", description = "", run, onSettled = null }) {
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      caller,
+      description,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null,
+      result: null,
+      error: "",
+      run,
+      onSettled,
+      controller: new AbortController(),
+    };
+    this.jobs.set(job.id, job);
+    if (this.logger) {
+      this.logger.info("jobs", `job queued: ${job.id}`, { key, caller, description });
+    }
+    this.schedule();
+    this.prune();
+    return job;
+  }
+
+  // Runs a job under the same limits as submit() and settles with the run's own result or error,
+  // for callers that wait inline instead of polling the job.
+  runInline({ run, onSettled = null, ...options }) {
+    return new Promise((resolve, reject) => {
+      let outcome = null;
+      this.submit({
+        ...options,
+        run: () =>
+          Promise.resolve()
+            .then(run)
+            .then(
+              (result) => {
+                outcome = { result };
+                return result;
+              },
+              (error) => {
+                outcome = { error };
+                throw error;
+              },
+            ),
+        onSettled: (job) => {
+          if (onSettled) {
+            onSettled(job);
+          }
+          if (outcome && outcome.error) {
+            reject(outcome.error);
+          } else if (outcome) {
+            resolve(outcome.result);
+          } else {
+            const error = new Error(`job ${job.id} ${job.error || job.status}`);
+            error.statusCode = 409;
+            reject(error);
+          }
+        },
+      });
+    });
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list({ key = "", status = "", caller = null, limit = 50 } = {}) {
+    const items = [];
+    const all = Array.from(this.jobs.values()).reverse();
+    for (const job of all) {
+      if (items.length >= limit) {
+        break;
+      }
+      if (key && job.key !== key) {
+        continue;
+      }
+      if (status && job.status !== status) {
+        continue;
+      }
+      if (caller !== null && job.caller !== caller) {
+        continue;
+      }
+      items.push(job);
+    }
+    return items;
+  }
+
+  counts() {
+    const counts = { queued: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    if (isFinished(job)) {
+      return job;
+    }
+    if (job.status === "queued") {
+      this.settle(job, "cancelled", null, "cancelled before start");
+      return job;
+    }
+    job.controller.abort();
+    return job;
+  }
+
+  runningCount(key = null) {
+    let count = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === "running" && (key === null || job.key === key)) {
+        count += 1;
+      }
+    }
+    return count;
+  }
+
+  schedule() {
+    for (const job of this.jobs.values()) {
+      if (job.status !== "queued") {
+        continue;
+      }
+      if (this.runningCount() >= this.maxRunning) {
+        return;
+      }
+      if (this.runningCount(job.key) >= this.concurrencyPerKey) {
+        continue;
+      }
+      this.start(job);
+    }
+  }
+
+  start(job) {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    if (this.logger) {
+      this.logger.info("jobs", `job started: ${job.id}`, { key: job.key });
+    }
+    const { signal } = job.controller;
+    runWithAbortSignal(signal, () => Promise.resolve().then(() => job.run()))
+      .then((result) => {
+        if (signal.aborted) {
+          this.settle(job, "cancelled", result, "cancelled while running");
+          return;
+        }
+        const failed = result && typeof result.code === "number" && result.code !== 0;
+        this.settle(job, failed ? "failed" : "succeeded", result, "");
+      })
+      .catch((error) => {
+        const message = error && error.message ? error.message : String(error);
+        const status = signal.aborted || (error && error.cancelled) ? "cancelled" : "failed";
+        this.settle(job, status, error && error.result ? error.result : null, message);
+      });
+  }
+
+  settle(job, status, result, errorMessage) {
+    job.status = status;
+    job.result = result || null;
+    job.error = errorMessage || "";
+    job.finishedAt = new Date().toISOString();
+    job.durationMs = job.startedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : 0;
+    job.run = null;
+    if (this.logger) {
+      const meta = { key: job.key, status, durationMs: job.durationMs };
+      if (status === "failed") {
+        this.logger.warn("jobs", `job failed: ${job.id}: ${job.error || "non-zero exit"}`, meta);
+      } else {
+        this.logger.info("jobs", `job ${status}: ${job.id}`, meta);
+      }
+    }
+    for (const callback of [job.onSettled, this.onSettled]) {
+      if (!callback) {
+        continue;
+      }
+      try {
+        callback(job);
+      } catch (error) {
+        if (this.logger) {
+          this.logger.error("jobs", error, "job settle callback failed", { id: job.id });
+        }
+      }
+    }
+    this.schedule();
+    this.prune();
+  }
+
+  prune() {
+    if (this.jobs.size <= this.historyLimit) {
+      return;
+    }
+    for (const job of this.jobs.values()) {
+      if (this.jobs.size <= this.historyLimit) {
+        return;
+      }
+      if (isFinished(job)) {
+        this.jobs.delete(job.id);
+      }
+    }
+  }
+}
+
+module.exports = {
+  JobQueue,
+};
@@ -0,0 +1,147 @@
+"use strict";
+
+const { normalizeValue } = require("./config");
+
+const SSE_HEARTBEAT_MS = 15000;
+
+const resolveStreamMode = (req, urlObj) => {
+  const format = normalizeValue(urlObj.searchParams.get("format")).toLowerCase();
+  if (format === "sse") {
+    return "sse";
+  }
+  if (format === "json" || format === "ndjson") {
+    return "ndjson";
+  }
+  if (format === "text") {
+    return "text";
+  }
+  const accept = normalizeValue(req.headers.accept).toLowerCase();
+  if (accept.includes("text/event-stream")) {
+    return "sse";
+  }
+  if (accept.includes("application/json") || accept.includes("application/x-ndjson")) {
+    return "ndjson";
+  }
+  return "text";
+};
+
+const createLineSplitter = (onLine) => {
+  let pending = "";
+  return {
+    push(chunk) {
+      pending += chunk;
+      const parts = pending.split(/\r?\n/g);
+      pending = parts.pop();
+      for (const line of parts) {
+        onLine(line);
+      }
+    },
+    flush() {
+      if (pending) {
+        onLine(pending);
+        pending = "";
+      }
+    },
+  };
+};
+
+const CONTENT_TYPES = {
+  text: "text/plain; charset=utf-8",
+  sse: "text/event-stream; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+class StreamResponseWriter {
+  constructor(res, mode) {
+    this.res = res;
+    this.mode = CONTENT_TYPES[mode] ? mode : "text";
+    this.closed = false;
+    this.heartbeatHandle = null;
+    this.linesWritten = 0;
+    this.waitingForDrain = false;
+    res.on("close", () => {
+      this.closed = true;
+      this.clearHeartbeat();
+    });
+    res.on("drain", () => {
+      this.waitingForDrain = false;
+    });
+  }
+
+  start(meta) {
+    this.res.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[this.mode],
+      "Cache-Control": "no-store",
+      // nginx buffers proxied responses by default; streaming needs it off
+      "X-Accel-Buffering": "no",
+    });
+    if (this.mode === "sse") {
+      this.writeRaw(`event: start\ndata: ${JSON.stringify(meta || {})}\n\n`);
+      this.heartbeatHandle = setInterval(() => {
+        this.writeRaw(": keep-alive\n\n");
+      }, SSE_HEARTBEAT_MS);
+      return;
+    }
+    if (this.mode === "ndjson") {
+      this.writeRaw(`${JSON.stringify({ event: "start", ...(meta || {}) })}\n`);
+      return;
+    }
+    if (meta && meta.command) {
+      this.writeRaw(`$ ${meta.command}\n`);
+    }
+  }
+
+  writeLine(stream, line) {
+    this.linesWritten += 1;
+    if (this.mode === "sse") {
+      const eventName = stream === "stderr" ? "event: stderr\n" : "";
+      this.writeRaw(`${eventName}data: ${line}\n\n`);
+      return;
+    }
+    if (this.mode === "ndjson") {
+      this.writeRaw(`${JSON.stringify({ event: "line", stream, line })}\n`);
+      return;
+    }
+    this.writeRaw(`${line}\n`);
+  }
+
+  end(summary) {
+    this.clearHeartbeat();
+    if (this.closed) {
+      return;
+    }
+    const payload = { ...(summary || {}), lines: this.linesWritten };
+    if (this.mode === "sse") {
+      this.writeRaw(`event: end\ndata: ${JSON.stringify(payload)}\n\n`);
+    } else if (this.mode === "ndjson") {
+      this.writeRaw(`${JSON.stringify({ event: "end", ...payload })}\n`);
+    } else {
+      const parts = Object.entries(payload).map(([key, value]) => `${key}=${value === null || value === undefined ? "" : value}`);
+      this.writeRaw(`--- stream ended ${parts.join(" ")} ---\n`);
+    }
+    this.res.end();
+    this.closed = true;
+  }
+
+  writeRaw(text) {
+    if (this.closed) {
+      return;
+    }
+    if (!this.res.write(text)) {
+      this.waitingForDrain = true;
+    }
+  }
+
+  clearHeartbeat() {
+    if (this.heartbeatHandle) {
+      clearInterval(this.heartbeatHandle);
+      this.heartbeatHandle = null;
+    }
+  }
+}
+
+module.exports = {
+  StreamResponseWriter,
+  createLineSplitter,
+  resolveStreamMode,
+};
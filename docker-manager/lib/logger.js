@@ -1,6 +1,19 @@
 "use strict";
 
 const fs = require("fs");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_TOTAL_BYTES = 100 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_FLUSH_INTERVAL_MS = 1000;
+const MAX_BUFFER_BYTES = 64 * 1024;
+const MAX_PENDING_BYTES = 4 * 1024 * 1024;
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 60000;
+
+const positiveOr = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
 
 class Logger {
   constructor(options) {
@@ -8,7 +21,22 @@ class Logger {
     this.logDir = settings.logDir;
     this.logPath = settings.logPath;
     this.scopePrefix = settings.scopePrefix || "docker-manager";
+    this.maxBytes = positiveOr(settings.maxBytes, DEFAULT_MAX_BYTES);
+    this.maxAgeMs = Number.isFinite(settings.maxAgeSec) && settings.maxAgeSec > 0 ? settings.maxAgeSec * 1000 : 0;
+    this.maxFiles = positiveOr(settings.maxFiles, DEFAULT_MAX_FILES);
+    this.maxTotalBytes = positiveOr(settings.maxTotalBytes, DEFAULT_MAX_TOTAL_BYTES);
+    this.flushIntervalMs = positiveOr(settings.flushIntervalMs, DEFAULT_FLUSH_INTERVAL_MS);
     this.fileReady = false;
+    this.fileHandle = null;
+    this.fileSize = 0;
+    this.fileCreatedAt = 0;
+    this.buffer = [];
+    this.bufferBytes = 0;
+    this.flushTimer = null;
+    this.retryTimer = null;
+    this.retryDelayMs = 0;
+    this.droppedBytes = 0;
+    this.writeChain = Promise.resolve();
     this.initialize();
   }
 
@@ -16,6 +44,9 @@ class Logger {
     try {
       fs.mkdirSync(this.logDir, { recursive: true });
       fs.appendFileSync(this.logPath, "");
+      const stat = fs.statSync(this.logPath);
+      this.fileSize = stat.size;
+      this.fileCreatedAt = stat.size > 0 && stat.birthtimeMs > 0 ? stat.birthtimeMs : Date.now();
       this.fileReady = true;
     } catch (error) {
       this.fileReady = false;
@@ -76,12 +107,160 @@ class Logger {
     if (!this.fileReady) {
       return;
     }
+    this.buffer.push(line);
+    this.bufferBytes += Buffer.byteLength(line, "utf8");
+    if (this.retryTimer) {
+      // the file is being reopened; keep buffering up to a bound and let the retry flush
+      this.trimBuffer();
+      return;
+    }
+    if (this.bufferBytes >= MAX_BUFFER_BYTES) {
+      void this.flush();
+      return;
+    }
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        void this.flush();
+      }, this.flushIntervalMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.writeChain = this.writeChain
+      .then(() => this.drainBuffer())
+      .then(() => {
+        this.retryDelayMs = 0;
+      })
+      .catch((error) => this.scheduleRetry(error));
+    return this.writeChain;
+  }
+
+  scheduleRetry(error) {
+    // drop the handle so the retry reopens the path (disk full, file removed, volume remounted)
+    if (this.fileHandle) {
+      const handle = this.fileHandle;
+      this.fileHandle = null;
+      handle.close().catch(() => null);
+    }
+    this.trimBuffer();
+    this.retryDelayMs = Math.min(this.retryDelayMs > 0 ? this.retryDelayMs * 2 : RETRY_MIN_MS, RETRY_MAX_MS);
+    const dropped = this.droppedBytes > 0 ? `, ${this.droppedBytes} bytes dropped so far` : "";
+    process.stderr.write(
+      `[${new Date().toISOString()}] [ERROR] [${this.scopePrefix}] cannot write log file, retrying in ${this.retryDelayMs}ms${dropped}: ${this.formatError(error)}\n`,
+    );
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+    }
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      void this.flush();
+    }, this.retryDelayMs);
+    this.retryTimer.unref();
+  }
+
+  trimBuffer() {
+    while (this.bufferBytes > MAX_PENDING_BYTES && this.buffer.length > 1) {
+      const bytes = Buffer.byteLength(this.buffer.shift(), "utf8");
+      this.bufferBytes -= bytes;
+      this.droppedBytes += bytes;
+    }
+  }
+
+  flushSync() {
+    if (!this.fileReady || this.buffer.length === 0) {
+      return;
+    }
+    const data = this.buffer.join("");
+    this.buffer = [];
+    this.bufferBytes = 0;
     try {
-      fs.appendFileSync(this.logPath, line, "utf8");
+      fs.appendFileSync(this.logPath, data, "utf8");
     } catch (error) {
-      this.fileReady = false;
-      const fallback = `[${new Date().toISOString()}] [ERROR] [${this.scopePrefix}] cannot write log file: ${this.formatError(error)}\n`;
-      process.stderr.write(fallback);
+      process.stderr.write(`[${new Date().toISOString()}] [ERROR] [${this.scopePrefix}] cannot flush log file: ${this.formatError(error)}\n`);
+    }
+  }
+
+  async drainBuffer() {
+    if (!this.fileReady || this.buffer.length === 0) {
+      return;
+    }
+    const data = this.buffer.join("");
+    const bytes = this.bufferBytes;
+    this.buffer = [];
+    this.bufferBytes = 0;
+    try {
+      if (this.shouldRotate(bytes)) {
+        await this.rotate();
+      }
+      if (!this.fileHandle) {
+        this.fileHandle = await fs.promises.open(this.logPath, "a");
+      }
+      await this.fileHandle.appendFile(data, "utf8");
+    } catch (error) {
+      // put the batch back in front of anything logged meanwhile
+      this.buffer.unshift(data);
+      this.bufferBytes += bytes;
+      throw error;
+    }
+    this.fileSize += bytes;
+  }
+
+  shouldRotate(incomingBytes) {
+    if (this.fileSize === 0) {
+      return false;
+    }
+    if (this.fileSize + incomingBytes > this.maxBytes) {
+      return true;
+    }
+    return this.maxAgeMs > 0 && Date.now() - this.fileCreatedAt >= this.maxAgeMs;
+  }
+
+  rotatedPath(index) {
+    return index === 1 ? `${this.logPath}.1` : `${this.logPath}.${index}.gz`;
+  }
+
+  async rotate() {
+    if (this.fileHandle) {
+      await this.fileHandle.close();
+      this.fileHandle = null;
+    }
+    // <log>.1 stays plain for quick inspection; older generations are gzipped
+    await fs.promises.rm(this.rotatedPath(this.maxFiles), { force: true });
+    for (let index = this.maxFiles - 1; index >= 2; index -= 1) {
+      await renameIfExists(this.rotatedPath(index), this.rotatedPath(index + 1));
+    }
+    if (this.maxFiles >= 2 && fs.existsSync(this.rotatedPath(1))) {
+      await pipeline(fs.createReadStream(this.rotatedPath(1)), zlib.createGzip(), fs.createWriteStream(this.rotatedPath(2)));
+      await fs.promises.rm(this.rotatedPath(1), { force: true });
+    }
+    await fs.promises.rename(this.logPath, this.rotatedPath(1));
+    this.fileSize = 0;
+    this.fileCreatedAt = Date.now();
+    await this.enforceTotalSize();
+  }
+
+  async enforceTotalSize() {
+    const rotated = [];
+    for (let index = 1; index <= this.maxFiles; index += 1) {
+      const filePath = this.rotatedPath(index);
+      try {
+        const stat = await fs.promises.stat(filePath);
+        rotated.push({ filePath, size: stat.size });
+      } catch {
+        // generation not created yet
+      }
+    }
+    let total = this.fileSize + rotated.reduce((sum, item) => sum + item.size, 0);
+    while (total > this.maxTotalBytes && rotated.length > 0) {
+      const oldest = rotated.pop();
+      await fs.promises.rm(oldest.filePath, { force: true });
+      total -= oldest.size;
     }
   }
 
@@ -96,6 +275,16 @@ class Logger {
   }
 }
 
+const renameIfExists = async (fromPath, toPath) => {
+  try {
+    await fs.promises.rename(fromPath, toPath);
+  } catch (error) {
+    if (!error || error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+};
+
 const safeJson = (value) => {
   try {
     return JSON.stringify(value);
@@ -0,0 +1,245 @@
+"use strict";
+
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+
+const { normalizeValue } = require("./config");
+const { createStepRecorder } = require("./image-updates");
+const { testAndReloadNginx, writeFileAtomic } = require("./nginx-files");
+const { loadShadowGroups, readShadowFiles } = require("./tailscale-shadow-sync");
+
+// nginx rewrites servers.conf from MAIN_TARGET_* on start unless this marker is present
+const MANAGED_MARKER = "# managed by docker-manager";
+const SERVER_LINE_PATTERN = /^\s*server\s+(\S+?)((?:\s+[^;\s]+)*)\s*;/;
+const MAX_HISTORY_ENTRIES = 100;
+
+const createUpstreamError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parseServers = (content) =>
+  String(content || "")
+    .split(/\r?\n/g)
+    .map((line) => line.match(SERVER_LINE_PATTERN))
+    .filter(Boolean)
+    .map((match) => {
+      const params = match[2].trim().split(/\s+/).filter(Boolean);
+      return {
+        address: match[1],
+        host: match[1].replace(/:\d+$/, ""),
+        backup: params.includes("backup"),
+        params: params.filter((item) => item !== "backup"),
+      };
+    });
+
+const renderServers = (servers, note) => {
+  const lines = [`${MANAGED_MARKER}: ${note}`];
+  for (const server of servers) {
+    lines.push(`server ${[server.address, ...server.params, ...(server.backup ? ["backup"] : [])].join(" ")};`);
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+class MainUpstream {
+  constructor({ dockerClient, config, logger, nginxLock }) {
+    this.dockerClient = dockerClient;
+    this.config = config;
+    this.logger = logger;
+    this.nginxLock = nginxLock;
+  }
+
+  readFile() {
+    try {
+      return fs.readFileSync(this.config.mainUpstreamFile, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return "";
+      }
+      throw error;
+    }
+  }
+
+  readHistory() {
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.config.upstreamHistoryFile, "utf8"));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.logger.warn("upstream", `cannot read ${this.config.upstreamHistoryFile}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  // shadow sync leaves these peers out so main traffic is not mirrored back to itself
+  currentHosts() {
+    return new Set(parseServers(this.readFile()).map((server) => server.host));
+  }
+
+  describe({ limit = 20 } = {}) {
+    const content = this.readFile();
+    return {
+      path: this.config.mainUpstreamFile,
+      managed: content.startsWith(MANAGED_MARKER),
+      servers: parseServers(content),
+      content,
+      history: this.readHistory().slice(-limit).reverse(),
+    };
+  }
+
+  async promote({ peer, port, actor }) {
+    return this.nginxLock.run("upstream promote", async () => {
+      const ip = normalizeValue(peer);
+      // the peer leaves every shadow group it is in; the first group (default comes first) provides its params
+      const shadowFiles = loadShadowGroups(this.config)
+        .map((group) => ({ path: path.join(group.dir, `${ip}.conf`), state: readShadowFiles(group.dir) }))
+        .filter((item) => item.state.has(ip));
+      if (shadowFiles.length === 0) {
+        throw createUpstreamError(`not a current shadow peer: ${ip || "(empty)"} (see /dockerapi/tailscale/sync/plan)`, 404);
+      }
+      const [shadowServer] = parseServers(shadowFiles[0].state.get(ip));
+      const address = port ? `${ip}:${port}` : shadowServer.address;
+      return this.change({
+        action: "promote",
+        peer: ip,
+        actor,
+        build: (servers) => {
+          if (servers.some((server) => !server.backup && server.address === address)) {
+            throw createUpstreamError(`${address} is already the main upstream`, 409);
+          }
+          // the old primaries stay as backup; older backups and the new peer's previous entries are dropped
+          const backups = servers.filter((server) => !server.backup && server.host !== ip).map((server) => ({ ...server, backup: true }));
+          return [{ address, host: ip, backup: false, params: shadowServer.params.filter((item) => item !== "down") }, ...backups];
+        },
+        removeShadowFiles: shadowFiles.map((item) => item.path),
+      });
+    });
+  }
+
+  async demote({ peer, actor }) {
+    return this.nginxLock.run("upstream demote", async () => {
+      const requested = normalizeValue(peer);
+      return this.change({
+        action: "demote",
+        peer: requested,
+        actor,
+        build: (servers) => {
+          const primaries = servers.filter((server) => !server.backup);
+          const target = requested ? primaries.filter((server) => server.host === requested || server.address === requested) : primaries;
+          if (target.length === 0) {
+            throw createUpstreamError(`not a main upstream primary: ${requested}`, 404);
+          }
+          const remaining = servers.filter((server) => !target.includes(server));
+          if (!remaining.some((server) => !server.backup)) {
+            if (!remaining.some((server) => server.backup)) {
+              throw createUpstreamError("cannot demote the only main upstream server", 409);
+            }
+            return remaining.map((server) => ({ ...server, backup: false }));
+          }
+          return remaining;
+        },
+      });
+    });
+  }
+
+  // Restores the file as it was before entry `id` (default: the latest change not reverted yet);
+  // every later change is marked reverted too.
+  async revert({ id, actor }) {
+    return this.nginxLock.run("upstream revert", async () => {
+      const history = this.readHistory();
+      const requested = normalizeValue(id);
+      const candidates = history.filter((entry) => entry.status === "applied" && entry.action !== "revert" && !entry.revertedBy);
+      const target = requested ? history.find((entry) => entry.id === requested) : candidates[candidates.length - 1];
+      if (!target) {
+        throw createUpstreamError(requested ? `upstream history entry not found: ${requested}` : "nothing to revert", 404);
+      }
+      if (target.status !== "applied" || target.action === "revert" || target.revertedBy) {
+        const state = target.revertedBy ? `reverted by ${target.revertedBy}` : `${target.action}/${target.status}`;
+        throw createUpstreamError(`history entry ${target.id} is ${state} and cannot be reverted`, 409);
+      }
+      return this.change({
+        action: "revert",
+        peer: target.peer,
+        actor,
+        revertOf: target.id,
+        build: () => target.previous,
+      });
+    });
+  }
+
+  // callers hold the nginx lock from the moment they read the shadow files or the history
+  async change({ action, peer, actor, build, removeShadowFiles = [], revertOf = "" }) {
+    const previous = this.readFile();
+    const built = build(parseServers(previous));
+    const next = typeof built === "string" ? built : renderServers(built, `${action} ${peer || "-"} at ${new Date().toISOString()}`);
+    const entry = {
+      id: String(Date.now()),
+      at: new Date().toISOString(),
+      action,
+      peer,
+      actor: actor || "",
+      revertOf,
+      status: "",
+      previous,
+      next,
+    };
+    const recorder = createStepRecorder(`${action} main upstream${peer ? ` ${peer}` : ""}`);
+    const shadowContents = new Map(
+      removeShadowFiles.filter((filePath) => fs.existsSync(filePath)).map((filePath) => [filePath, fs.readFileSync(filePath, "utf8")]),
+    );
+
+    await writeFileAtomic(this.config.mainUpstreamFile, next);
+    recorder.note(`[write] ${this.config.mainUpstreamFile}`);
+    for (const filePath of shadowContents.keys()) {
+      await fsp.rm(filePath, { force: true });
+      recorder.note(`[write] removed shadow server ${filePath}`);
+    }
+    const failure = await testAndReloadNginx(this.dockerClient, recorder, "");
+    if (failure) {
+      this.logger.error("upstream", failure, `${action} failed, rollback started`);
+      await writeFileAtomic(this.config.mainUpstreamFile, previous);
+      for (const [filePath, content] of shadowContents) {
+        await writeFileAtomic(filePath, content);
+      }
+      recorder.note(`[rollback] restored previous ${this.config.mainUpstreamFile}`);
+      const rollbackFailure = await testAndReloadNginx(this.dockerClient, recorder, "rollback-");
+      if (rollbackFailure) {
+        this.logger.error("upstream", rollbackFailure, "rollback reload failed");
+      }
+      entry.status = rollbackFailure ? "rollback-failed" : "rolled-back";
+    } else {
+      entry.status = "applied";
+      this.logger.info("upstream", `main upstream ${action} applied`, { peer, actor, revertOf });
+    }
+
+    const history = this.readHistory();
+    if (entry.status === "applied" && revertOf) {
+      const startIndex = history.findIndex((item) => item.id === revertOf);
+      for (const item of history.slice(startIndex)) {
+        if (item.status === "applied" && item.action !== "revert" && !item.revertedBy) {
+          item.revertedBy = entry.id;
+        }
+      }
+    }
+    history.push(entry);
+    await writeFileAtomic(this.config.upstreamHistoryFile, `${JSON.stringify(history.slice(-MAX_HISTORY_ENTRIES), null, 2)}\n`);
+
+    const data = {
+      historyId: entry.id,
+      action,
+      peer,
+      status: entry.status,
+      revertOf,
+      servers: parseServers(entry.status === "applied" ? next : previous),
+    };
+    recorder.note(`[history] ${entry.id} ${entry.status}`);
+    return recorder.finish(failure ? 1 : 0, data, failure ? `${failure.message}\n` : "");
+  }
+}
+
+module.exports = {
+  MainUpstream,
+};
@@ -0,0 +1,151 @@
+"use strict";
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+const escapeLabelValue = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+};
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels || {}).sort(([left], [right]) => left.localeCompare(right)));
+
+const formatNumber = (value) => {
+  if (value === Number.POSITIVE_INFINITY) {
+    return "+Inf";
+  }
+  if (value === Number.NEGATIVE_INFINITY) {
+    return "-Inf";
+  }
+  return Number.isFinite(value) ? String(value) : "NaN";
+};
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = "counter";
+    this.series = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(labels);
+    const current = this.series.get(key);
+    if (current) {
+      current.value += value;
+      return;
+    }
+    this.series.set(key, { labels, value });
+  }
+
+  set(labels = {}, value = 0) {
+    this.series.set(labelKey(labels), { labels, value });
+  }
+
+  render() {
+    return Array.from(this.series.values()).map((item) => `${this.name}${formatLabels(item.labels)} ${formatNumber(item.value)}`);
+  }
+}
+
+class Gauge extends Counter {
+  constructor(name, help) {
+    super(name, help);
+    this.type = "gauge";
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = "histogram";
+    this.buckets = (Array.isArray(buckets) && buckets.length > 0 ? buckets : DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  observe(labels = {}, value = 0) {
+    const key = labelKey(labels);
+    let current = this.series.get(key);
+    if (!current) {
+      current = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, current);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        current.counts[index] += 1;
+      }
+    });
+    current.sum += value;
+    current.count += 1;
+  }
+
+  render() {
+    const lines = [];
+    for (const item of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...item.labels, le: formatNumber(bound) })} ${item.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...item.labels, le: "+Inf" })} ${item.count}`);
+      lines.push(`${this.name}_sum${formatLabels(item.labels)} ${formatNumber(item.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(item.labels)} ${item.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      return existing;
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  render() {
+    for (const collector of this.collectors) {
+      collector();
+    }
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.render());
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+};
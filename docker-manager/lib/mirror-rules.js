@@ -0,0 +1,228 @@
+"use strict";
+
+const fs = require("fs");
+
+const { normalizeValue } = require("./config");
+const { createStepRecorder } = require("./image-updates");
+const { testAndReloadNginx, writeFileAtomic } = require("./nginx-files");
+
+const HTTP_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]+$/;
+const SAFE_TEXT_PATTERN = /^[^\s"'\\;{}$]+$/;
+const RULE_KEYS = ["methods", "includePaths", "excludePaths", "headers", "samplePercent"];
+
+// Matches nginx/maps/mirror_rules.map, which nginx copies to the runtime file on first start.
+const DEFAULT_MIRROR_RULES = {
+  methods: ["POST", "PUT", "PATCH", "DELETE"],
+  includePaths: [],
+  excludePaths: [],
+  headers: [],
+  samplePercent: 100,
+};
+
+const createRulesError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const readList = (value, key) => {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw createRulesError(`mirror rules: ${key} must be an array`);
+  }
+  return value;
+};
+
+const validatePath = (value, key) => {
+  const text = normalizeValue(value);
+  if (!text.startsWith("/") || !SAFE_TEXT_PATTERN.test(text)) {
+    throw createRulesError(`mirror rules: invalid ${key} entry: ${JSON.stringify(value)}`);
+  }
+  return text;
+};
+
+const validateMirrorRules = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw createRulesError("mirror rules must be a JSON object");
+  }
+  const unknown = Object.keys(input).filter((key) => !RULE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw createRulesError(`mirror rules: unknown field ${unknown.join(", ")} (allowed: ${RULE_KEYS.join(", ")})`);
+  }
+
+  const methods = Array.from(new Set(readList(input.methods, "methods").map((item) => normalizeValue(item).toUpperCase())));
+  const badMethod = methods.find((method) => !HTTP_METHODS.includes(method));
+  if (badMethod !== undefined) {
+    throw createRulesError(`mirror rules: unsupported method ${badMethod}`);
+  }
+
+  const headers = readList(input.headers, "headers").map((item) => {
+    const name = normalizeValue(item && item.name);
+    const value = normalizeValue(item && item.value) || "*";
+    const action = normalizeValue(item && item.action).toLowerCase() || "include";
+    if (!HEADER_NAME_PATTERN.test(name) || name.toLowerCase() === "x-shadow") {
+      throw createRulesError(`mirror rules: invalid header name ${JSON.stringify(name)}`);
+    }
+    if (!SAFE_TEXT_PATTERN.test(value) || !["include", "exclude"].includes(action)) {
+      throw createRulesError(`mirror rules: invalid header condition for ${name}`);
+    }
+    return { name, value, action };
+  });
+
+  const samplePercent = input.samplePercent === undefined ? 100 : Number(input.samplePercent);
+  if (!/^\d{1,3}(\.\d{1,2})?$/.test(String(input.samplePercent ?? 100)) || samplePercent > 100) {
+    throw createRulesError("mirror rules: samplePercent must be 0..100 with at most two decimals");
+  }
+
+  return {
+    methods,
+    includePaths: readList(input.includePaths, "includePaths").map((item) => validatePath(item, "includePaths")),
+    excludePaths: readList(input.excludePaths, "excludePaths").map((item) => validatePath(item, "excludePaths")),
+    headers,
+    samplePercent,
+  };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^()|[\]]/g, "\\$&");
+
+const renderMirrorMap = (rules) => {
+  const lines = ["# generated by docker-manager (/dockerapi/nginx/mirror-rules), do not edit by hand", ""];
+  const variables = ["$mirror_by_header", "$mirror_by_method", "$mirror_by_path", "$mirror_by_sample"];
+
+  // loop guard: requests that already come from a shadow subrequest are never mirrored
+  lines.push("map $http_x_shadow $mirror_by_header {", "  default 1;", '  "1"     0;', "}", "");
+
+  lines.push("map $request_method $mirror_by_method {", `  default ${rules.methods.length > 0 ? 0 : 1};`);
+  for (const method of rules.methods) {
+    lines.push(`  ${method} 1;`);
+  }
+  lines.push("}", "");
+
+  // regex entries are checked in order, so excludes win over includes
+  lines.push("map $uri $mirror_by_path {", `  default ${rules.includePaths.length > 0 ? 0 : 1};`);
+  for (const prefix of rules.excludePaths) {
+    lines.push(`  "~^${escapeRegex(prefix)}" 0;`);
+  }
+  for (const prefix of rules.includePaths) {
+    lines.push(`  "~^${escapeRegex(prefix)}" 1;`);
+  }
+  lines.push("}", "");
+
+  rules.headers.forEach((header, index) => {
+    const variable = `$mirror_by_header_${index + 1}`;
+    const matchValue = header.action === "include" ? 1 : 0;
+    variables.push(variable);
+    lines.push(`map $http_${header.name.toLowerCase().replace(/-/g, "_")} ${variable} {`);
+    if (header.value === "*") {
+      lines.push(`  default ${matchValue};`, `  "" ${1 - matchValue};`);
+    } else {
+      lines.push(`  default ${1 - matchValue};`, `  "${header.value}" ${matchValue};`);
+    }
+    lines.push("}", "");
+  });
+
+  lines.push('split_clients "$request_id" $mirror_by_sample {');
+  if (rules.samplePercent > 0 && rules.samplePercent < 100) {
+    lines.push(`  ${rules.samplePercent}% 1;`);
+  }
+  lines.push(`  * ${rules.samplePercent >= 100 ? 1 : 0};`, "}", "");
+
+  lines.push(`map "${variables.join("|")}" $do_mirror {`, "  default 0;", `  "${variables.map(() => "1").join("|")}" 1;`, "}");
+  return `${lines.join("\n")}\n`;
+};
+
+class MirrorRules {
+  constructor({ dockerClient, config, logger, nginxLock }) {
+    this.dockerClient = dockerClient;
+    this.config = config;
+    this.logger = logger;
+    this.nginxLock = nginxLock;
+  }
+
+  // Only a missing state file means defaults; falling back on a broken one would let the next PATCH
+  // overwrite the operator's rules with defaults. PUT still replaces it.
+  readRules() {
+    try {
+      return validateMirrorRules(JSON.parse(fs.readFileSync(this.config.mirrorRulesStateFile, "utf8")));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { ...DEFAULT_MIRROR_RULES };
+      }
+      const stateError = new Error(
+        `cannot read mirror rules state ${this.config.mirrorRulesStateFile} (fix it or PUT new rules): ${error.message}`,
+      );
+      stateError.statusCode = 500;
+      throw stateError;
+    }
+  }
+
+  readMapFile() {
+    try {
+      return fs.readFileSync(this.config.mirrorRulesFile, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return "";
+      }
+      throw error;
+    }
+  }
+
+  describe() {
+    const rules = this.readRules();
+    const rendered = renderMirrorMap(rules);
+    const current = this.readMapFile();
+    return {
+      path: this.config.mirrorRulesFile,
+      rules,
+      inSync: rendered === current,
+      rendered,
+      current,
+    };
+  }
+
+  // PATCH merges top-level fields into the stored rules, PUT replaces them.
+  async apply(input, { merge = false, dryRun = false } = {}) {
+    if (dryRun) {
+      return this.applyRules(input, { merge, dryRun });
+    }
+    // the merge base is read under the lock as well, so concurrent PATCHes cannot start from the same rules
+    return this.nginxLock.run("mirror rules update", () => this.applyRules(input, { merge, dryRun }));
+  }
+
+  async applyRules(input, { merge, dryRun }) {
+    const rules = validateMirrorRules(merge ? { ...this.readRules(), ...input } : input);
+    const rendered = renderMirrorMap(rules);
+    const recorder = createStepRecorder(`apply mirror rules ${this.config.mirrorRulesFile}`);
+    const summary = { path: this.config.mirrorRulesFile, rules, rendered, dryRun, status: "" };
+    if (dryRun) {
+      recorder.note("[dry-run] rules validated, nothing written");
+      return recorder.finish(0, { ...summary, status: "validated" });
+    }
+
+    const previousMap = this.readMapFile();
+    await writeFileAtomic(this.config.mirrorRulesFile, rendered);
+    recorder.note(`[write] ${this.config.mirrorRulesFile}`);
+    const failure = await testAndReloadNginx(this.dockerClient, recorder, "");
+    if (!failure) {
+      await writeFileAtomic(this.config.mirrorRulesStateFile, `${JSON.stringify(rules, null, 2)}\n`);
+      this.logger.info("mirror-rules", "mirror rules applied and nginx reloaded", { rules });
+      return recorder.finish(0, { ...summary, status: "applied" });
+    }
+
+    this.logger.error("mirror-rules", failure, "nginx test/reload failed, rollback started");
+    await writeFileAtomic(this.config.mirrorRulesFile, previousMap);
+    recorder.note(`[rollback] restored previous ${this.config.mirrorRulesFile}`);
+    const rollbackFailure = await testAndReloadNginx(this.dockerClient, recorder, "rollback-");
+    if (rollbackFailure) {
+      this.logger.error("mirror-rules", rollbackFailure, "rollback reload failed");
+    }
+    return recorder.finish(1, { ...summary, status: rollbackFailure ? "rollback-failed" : "rolled-back" }, `${failure.message}\n`);
+  }
+}
+
+module.exports = {
+  MirrorRules,
+};
@@ -0,0 +1,66 @@
+"use strict";
+
+const fsp = require("fs/promises");
+const path = require("path");
+
+// nginx must never include a half-written file, so write a sibling and rename it over
+const writeFileAtomic = async (filePath, content) => {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fsp.writeFile(tmpPath, content, "utf8");
+  await fsp.rename(tmpPath, filePath);
+};
+
+// Records `nginx -t` and the reload as separate steps when a recorder is given. Returns the
+// failing error (carrying `result` when the command ran) or null when both passed.
+const testAndReloadNginx = async (dockerClient, recorder = null, prefix = "") => {
+  for (const [step, run] of [
+    ["test", () => dockerClient.nginxTest()],
+    ["reload", () => dockerClient.nginxSignalReload()],
+  ]) {
+    try {
+      const result = await run();
+      if (recorder) {
+        recorder.record(`${prefix}${step}`, result);
+      }
+    } catch (error) {
+      if (recorder) {
+        recorder.record(`${prefix}${step}`, error.result || null);
+      }
+      return error;
+    }
+  }
+  return null;
+};
+
+// Mirror rules, the main upstream and the shadow sync each test and roll back only their own files,
+// so only one of them may have nginx files in flight. A second writer is refused, not queued.
+class NginxApplyLock {
+  constructor() {
+    this.holder = "";
+  }
+
+  get busy() {
+    return this.holder !== "";
+  }
+
+  async run(label, fn) {
+    if (this.holder) {
+      const error = new Error(`${label} refused: ${this.holder} is changing nginx files, retry in a moment`);
+      error.statusCode = 409;
+      throw error;
+    }
+    this.holder = label;
+    try {
+      return await fn();
+    } finally {
+      this.holder = "";
+    }
+  }
+}
+
+module.exports = {
+  NginxApplyLock,
+  testAndReloadNginx,
+  writeFileAtomic,
+};
@@ -0,0 +1,214 @@
+"use strict";
+
+const { normalizeValue } = require("./config");
+
+const MAX_GREP_PATTERN_LENGTH = 256;
+const COMBINED_PATTERN = /^(\S+) \S+ (\S+) \[([^\]]+)\] "(\S+) (\S+)[^"]*" (\d{3}) (\d+|-)/;
+const ERROR_TIME_PATTERN = /^(\d{4})\/(\d{2})\/(\d{2}) (\d{2}:\d{2}:\d{2}) \[(\w+)\]/;
+const KEY_VALUE_PATTERN = /([A-Za-z_]+)=("(?:[^"\\]|\\.)*"|\S*)/g;
+const RELATIVE_TIME_PATTERN = /^(\d+)(s|m|h|d)$/;
+const RELATIVE_UNITS_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+const createInputError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseCombinedTime = (value) => {
+  // 19/Oct/2026:10:00:00 +0000 -> 19 Oct 2026 10:00:00 +0000
+  const text = normalizeValue(value).replace(/^(\d{2})\/(\w{3})\/(\d{4}):/, "$1 $2 $3 ");
+  const ts = Date.parse(text);
+  return Number.isFinite(ts) ? ts : null;
+};
+
+const parseKeyValueFields = (line) => {
+  const fields = {};
+  for (const match of line.matchAll(KEY_VALUE_PATTERN)) {
+    let value = match[2];
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1).replace(/\\"/g, '"');
+    }
+    fields[match[1]] = value;
+  }
+  return fields;
+};
+
+const toStatusCode = (value) => {
+  const parsed = Number.parseInt(normalizeValue(value), 10);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const parseNginxLogLine = (logType, line) => {
+  const text = String(line || "");
+  if (logType === "shadow") {
+    const fields = parseKeyValueFields(text);
+    const ts = Date.parse(normalizeValue(fields.t));
+    return {
+      time: Number.isFinite(ts) ? ts : null,
+      status: toStatusCode(fields.status),
+      method: normalizeValue(fields.method).toUpperCase(),
+      uri: normalizeValue(fields.uri),
+      mirrorId: normalizeValue(fields.mirror_id),
+      fields,
+    };
+  }
+  if (logType === "error") {
+    const match = text.match(ERROR_TIME_PATTERN);
+    const ts = match ? Date.parse(`${match[1]}-${match[2]}-${match[3]}T${match[4]}Z`) : Number.NaN;
+    return {
+      time: Number.isFinite(ts) ? ts : null,
+      status: null,
+      method: "",
+      uri: "",
+      mirrorId: "",
+      fields: match ? { level: match[5] } : {},
+    };
+  }
+  const match = text.match(COMBINED_PATTERN);
+  if (!match) {
+    return { time: null, status: null, method: "", uri: "", mirrorId: "", fields: {} };
+  }
+  // main_mirror appends key=value fields after the combined format
+  const extra = parseKeyValueFields(text.slice(match[0].length));
+  return {
+    time: parseCombinedTime(match[3]),
+    status: toStatusCode(match[6]),
+    method: normalizeValue(match[4]).toUpperCase(),
+    uri: normalizeValue(match[5]),
+    mirrorId: normalizeValue(extra.mirror_id),
+    fields: {
+      ...extra,
+      client: match[1],
+      user: match[2],
+      bytes: match[7],
+    },
+  };
+};
+
+const parseStatusRanges = (value) => {
+  const raw = normalizeValue(value);
+  if (!raw) {
+    return [];
+  }
+  return raw.split(",").map((token) => {
+    const item = token.trim().toLowerCase();
+    const classMatch = item.match(/^([1-5])xx$/);
+    if (classMatch) {
+      const base = Number.parseInt(classMatch[1], 10) * 100;
+      return [base, base + 99];
+    }
+    const rangeMatch = item.match(/^(\d{3})-(\d{3})$/);
+    if (rangeMatch) {
+      const min = Number.parseInt(rangeMatch[1], 10);
+      const max = Number.parseInt(rangeMatch[2], 10);
+      if (min > max) {
+        throw createInputError(`invalid status range: ${item}`);
+      }
+      return [min, max];
+    }
+    if (/^\d{3}$/.test(item)) {
+      const code = Number.parseInt(item, 10);
+      return [code, code];
+    }
+    throw createInputError(`invalid status filter: ${item}`);
+  });
+};
+
+const parseTimeBound = (value, name) => {
+  const raw = normalizeValue(value);
+  if (!raw) {
+    return null;
+  }
+  const relative = raw.match(RELATIVE_TIME_PATTERN);
+  if (relative) {
+    return Date.now() - Number.parseInt(relative[1], 10) * RELATIVE_UNITS_MS[relative[2]];
+  }
+  const ts = Date.parse(raw);
+  if (!Number.isFinite(ts)) {
+    throw createInputError(`invalid ${name} time: ${raw} (use ISO time or relative like 15m, 2h)`);
+  }
+  return ts;
+};
+
+// plain substring match: a user-supplied RegExp could backtrack for seconds per line (ReDoS)
+const parseGrepPattern = (value, ignoreCase) => {
+  const raw = String(value ?? "");
+  if (!raw) {
+    return null;
+  }
+  if (raw.length > MAX_GREP_PATTERN_LENGTH) {
+    throw createInputError(`grep pattern is too long (>${MAX_GREP_PATTERN_LENGTH} chars)`);
+  }
+  if (ignoreCase) {
+    const needle = raw.toLowerCase();
+    return { test: (line) => line.toLowerCase().includes(needle) };
+  }
+  return { test: (line) => line.includes(raw) };
+};
+
+const readLogFilterOptions = (searchParams) => ({
+  grep: searchParams.get("grep"),
+  ignoreCase: ["1", "true", "yes"].includes(normalizeValue(searchParams.get("ignoreCase")).toLowerCase()),
+  status: searchParams.get("status"),
+  method: searchParams.get("method"),
+  since: searchParams.get("since"),
+  until: searchParams.get("until"),
+  mirrorId: searchParams.get("mirrorId") || searchParams.get("mirror_id"),
+});
+
+const createNginxLogFilter = (logType, options = {}) => {
+  const grep = parseGrepPattern(options.grep, options.ignoreCase);
+  const statusRanges = parseStatusRanges(options.status);
+  const methods = new Set(
+    normalizeValue(options.method)
+      .split(",")
+      .map((item) => item.trim().toUpperCase())
+      .filter(Boolean),
+  );
+  const since = parseTimeBound(options.since, "since");
+  const until = parseTimeBound(options.until, "until");
+  const mirrorId = normalizeValue(options.mirrorId);
+  const needsParse = statusRanges.length > 0 || methods.size > 0 || since !== null || until !== null || Boolean(mirrorId);
+  const active = needsParse || Boolean(grep);
+
+  const matches = (line) => {
+    if (grep && !grep.test(line)) {
+      return false;
+    }
+    if (!needsParse) {
+      return true;
+    }
+    const entry = parseNginxLogLine(logType, line);
+    if (statusRanges.length > 0) {
+      if (entry.status === null || !statusRanges.some(([min, max]) => entry.status >= min && entry.status <= max)) {
+        return false;
+      }
+    }
+    if (methods.size > 0 && !methods.has(entry.method)) {
+      return false;
+    }
+    if (since !== null && (entry.time === null || entry.time < since)) {
+      return false;
+    }
+    if (until !== null && (entry.time === null || entry.time > until)) {
+      return false;
+    }
+    if (mirrorId && entry.mirrorId !== mirrorId) {
+      return false;
+    }
+    return true;
+  };
+
+  return {
+    active,
+    matches,
+  };
+};
+
+module.exports = {
+  createNginxLogFilter,
+  parseNginxLogLine,
+  parseTimeBound,
+  readLogFilterOptions,
+};
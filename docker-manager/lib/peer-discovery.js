@@ -0,0 +1,326 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const { Resolver } = require("dns").promises;
+
+const { normalizeValue } = require("./config");
+const { isIpv4 } = require("./tailscale-shadow-sync");
+
+const DISCOVERY_PROVIDERS = ["tailscale-status", "tailscale-api", "file", "dns"];
+// refresh the OAuth token a minute before it expires
+const TOKEN_REFRESH_MARGIN_MS = 60000;
+
+const isPeerActive = (peer) => {
+  const rawFlags = [peer && peer.Online, peer && peer.online, peer && peer.Active, peer && peer.active];
+  const explicitFlags = rawFlags.filter((value) => value === true || value === false);
+  if (explicitFlags.length > 0) {
+    return explicitFlags.some((value) => value === true);
+  }
+  const curAddr = normalizeValue(peer && (peer.CurAddr || peer.curAddr));
+  return Boolean(curAddr);
+};
+
+const collectNodeIps = (node) => {
+  const ipValues = [];
+  const candidates = [
+    node && node.TailscaleIPs,
+    node && node.tailscaleIPs,
+    node && node.tailscaleIps,
+    node && node.Addresses,
+    node && node.addresses,
+    node && node.ips,
+  ];
+  for (const list of candidates) {
+    if (!Array.isArray(list)) {
+      continue;
+    }
+    for (const item of list) {
+      const ip = normalizeValue(item);
+      if (isIpv4(ip) && !ipValues.includes(ip)) {
+        ipValues.push(ip);
+      }
+    }
+  }
+  return ipValues;
+};
+
+const readTags = (tags) => (Array.isArray(tags) ? tags.map((tag) => normalizeValue(tag).replace(/^tag:/, "")).filter(Boolean) : []);
+
+const localIps = () =>
+  Object.values(os.networkInterfaces())
+    .flat()
+    .filter((item) => item && item.family === "IPv4")
+    .map((item) => item.address);
+
+const fetchWithTimeout = async (url, options, timeoutMs) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+const readResponseJson = async (response, what) => {
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`${what} failed (${response.status}): ${text.slice(0, 200)}`);
+  }
+  return response.json();
+};
+
+// `tailscale status --json` inside the tailscale container
+const createStatusProvider = ({ dockerClient }) => ({
+  name: "tailscale-status",
+  async discover() {
+    const statusResult = await dockerClient.tailscaleStatus({ asJson: true });
+    let payload;
+    try {
+      payload = JSON.parse(String(statusResult.stdout || "{}"));
+    } catch (error) {
+      throw new Error(`invalid tailscale status json: ${error.message}`);
+    }
+    const selfNode = payload && payload.Self ? payload.Self : {};
+    const selfId = normalizeValue(selfNode.ID || selfNode.id);
+    const peers = payload && payload.Peer && typeof payload.Peer === "object" ? Object.values(payload.Peer) : [];
+    const nodes = peers
+      .filter((peer) => peer && typeof peer === "object" && peer.Self !== true)
+      .filter((peer) => !selfId || normalizeValue(peer.ID || peer.id) !== selfId)
+      .map((peer) => ({
+        host: normalizeValue(peer.HostName || peer.hostName),
+        dns: normalizeValue(peer.DNSName || peer.dnsName).replace(/\.$/, ""),
+        os: normalizeValue(peer.OS || peer.os),
+        tags: readTags(peer.Tags),
+        ips: collectNodeIps(peer),
+        online: isPeerActive(peer),
+      }));
+    return { nodes, selfIps: collectNodeIps(selfNode) };
+  },
+});
+
+// Tailscale devices API with OAuth client credentials, same env as scripts/pull-data.js
+class TailscaleApiProvider {
+  constructor({ config }) {
+    this.name = "tailscale-api";
+    this.config = config;
+    this.token = "";
+    this.tokenExpiresAt = 0;
+  }
+
+  async accessToken() {
+    if (this.token && Date.now() < this.tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this.token;
+    }
+    const { tailscaleClientId, tailscaleClientSecret, tailscaleApiBaseUrl, shadowDiscoveryTimeoutMs } = this.config;
+    const basic = Buffer.from(`${tailscaleClientId}:${tailscaleClientSecret}`, "utf8").toString("base64");
+    const response = await fetchWithTimeout(
+      `${tailscaleApiBaseUrl}/api/v2/oauth/token`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${basic}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+          Accept: "application/json",
+        },
+        body: "grant_type=client_credentials",
+      },
+      shadowDiscoveryTimeoutMs,
+    );
+    const payload = await readResponseJson(response, "oauth token request");
+    this.token = normalizeValue(payload.access_token);
+    if (!this.token) {
+      throw new Error("oauth response missing access_token");
+    }
+    const expiresInSec = Number.parseInt(payload.expires_in, 10);
+    this.tokenExpiresAt = Date.now() + (Number.isFinite(expiresInSec) ? expiresInSec : 3600) * 1000;
+    return this.token;
+  }
+
+  async discover() {
+    const { tailscaleClientId, tailscaleClientSecret, tailscaleApiBaseUrl, tailscaleTailnet, shadowDiscoveryTimeoutMs } = this.config;
+    if (!tailscaleClientId || !tailscaleClientSecret) {
+      throw new Error("missing TAILSCALE_CLIENT_ID/TAILSCALE_CLIENT_SECRET");
+    }
+    const token = await this.accessToken();
+    const response = await fetchWithTimeout(
+      `${tailscaleApiBaseUrl}/api/v2/tailnet/${encodeURIComponent(tailscaleTailnet)}/devices?fields=all`,
+      { method: "GET", headers: { Authorization: `Bearer ${token}`, Accept: "application/json" } },
+      shadowDiscoveryTimeoutMs,
+    );
+    if (response.status === 401) {
+      this.token = "";
+    }
+    const payload = await readResponseJson(response, "devices request");
+    const devices = Array.isArray(payload) ? payload : (payload && (payload.devices || payload.Devices)) || [];
+    const nodes = devices.map((device) => {
+      // connectedToControl is only present with fields=all; without any flag the device counts as online
+      const flags = [device.connectedToControl, device.online, device.Online].filter((value) => value === true || value === false);
+      return {
+        host: normalizeValue(device.hostname || device.HostName),
+        dns: normalizeValue(device.name).replace(/\.$/, ""),
+        os: normalizeValue(device.os || device.OS),
+        tags: readTags(device.tags || device.Tags),
+        ips: collectNodeIps(device),
+        online: flags.length === 0 || flags.some(Boolean),
+      };
+    });
+    return { nodes, selfIps: [] };
+  }
+}
+
+// [ "100.64.0.5", { "host": "runner-b", "ips": ["100.64.0.9"], "tags": ["runner"], "port": 3001 } ]
+const createFileProvider = ({ config }) => ({
+  name: "file",
+  async discover() {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(config.shadowDiscoveryFile, "utf8"));
+    } catch (error) {
+      throw new Error(`cannot read ${config.shadowDiscoveryFile}: ${error.message}`);
+    }
+    const entries = Array.isArray(parsed) ? parsed : (parsed && parsed.peers) || [];
+    if (!Array.isArray(entries)) {
+      throw new Error(`${config.shadowDiscoveryFile}: expected an array or { "peers": [...] }`);
+    }
+    const nodes = entries.map((entry) => {
+      const item = typeof entry === "string" ? { ips: [entry] } : entry || {};
+      const port = Number.parseInt(item.port, 10);
+      return {
+        host: normalizeValue(item.host),
+        dns: normalizeValue(item.dns).replace(/\.$/, ""),
+        os: normalizeValue(item.os),
+        tags: readTags(item.tags),
+        ips: collectNodeIps({ ips: [...(Array.isArray(item.ips) ? item.ips : []), item.ip] }),
+        online: item.online !== false,
+        port: port >= 1 && port <= 65535 ? port : null,
+      };
+    });
+    return { nodes, selfIps: [] };
+  },
+});
+
+// SRV records (target + port) and plain A lookups; relative names get the tailnet domain appended
+const createDnsProvider = ({ config }) => ({
+  name: "dns",
+  async discover() {
+    const resolver = new Resolver({ timeout: config.shadowDiscoveryTimeoutMs, tries: 2 });
+    if (config.shadowDnsServers.length > 0) {
+      resolver.setServers(config.shadowDnsServers);
+    }
+    const qualify = (name) => {
+      const trimmed = normalizeValue(name).replace(/\.$/, "");
+      return trimmed.includes(".") || !config.shadowDnsDomain ? trimmed : `${trimmed}.${config.shadowDnsDomain}`;
+    };
+    const targets = config.shadowDnsNames.map((name) => ({ name: qualify(name), port: null }));
+    if (config.shadowDnsSrv) {
+      const records = await resolver.resolveSrv(qualify(config.shadowDnsSrv));
+      targets.push(...records.map((record) => ({ name: record.name.replace(/\.$/, ""), port: record.port })));
+    }
+    if (targets.length === 0) {
+      throw new Error("no DOCKER_MANAGER_SHADOW_DNS_NAMES or DOCKER_MANAGER_SHADOW_DNS_SRV configured");
+    }
+    const nodes = [];
+    for (const target of targets) {
+      const ips = await resolver.resolve4(target.name).catch((error) => {
+        if (error.code === "ENOTFOUND" || error.code === "ENODATA") {
+          return [];
+        }
+        throw error;
+      });
+      if (ips.length > 0) {
+        nodes.push({ host: target.name.split(".")[0], dns: target.name, os: "", tags: [], ips, online: true, port: target.port });
+      }
+    }
+    return { nodes, selfIps: [] };
+  },
+});
+
+// Nodes sharing any IP are the same peer; the first provider to know a field wins.
+const mergeNodes = (results, mode) => {
+  const merged = [];
+  const byIp = new Map();
+  for (const { provider, nodes } of results) {
+    for (const node of nodes) {
+      let target = node.ips.map((ip) => byIp.get(ip)).find(Boolean);
+      if (!target) {
+        target = { host: "", dns: "", os: "", tags: [], ips: [], port: null, sources: [], votes: [] };
+        merged.push(target);
+      }
+      target.host = target.host || node.host;
+      target.dns = target.dns || node.dns;
+      target.os = target.os || node.os;
+      target.port = target.port || node.port || null;
+      target.tags = Array.from(new Set([...target.tags, ...node.tags]));
+      for (const ip of node.ips) {
+        if (!target.ips.includes(ip)) {
+          target.ips.push(ip);
+          byIp.set(ip, target);
+        }
+      }
+      if (!target.sources.includes(provider)) {
+        target.sources.push(provider);
+      }
+      target.votes.push(node.online);
+    }
+  }
+  return merged
+    .filter((node) => node.ips.length > 0)
+    .filter((node) => mode === "union" || node.sources.length === results.length)
+    .map(({ votes, ...node }) => ({ ...node, online: mode === "union" ? votes.some(Boolean) : votes.every(Boolean) }));
+};
+
+class PeerDiscovery {
+  constructor({ dockerClient, config, logger }) {
+    this.config = config;
+    this.logger = logger;
+    this.mode = config.shadowDiscoveryMode;
+    this.providers = config.shadowDiscovery.map((name) => {
+      switch (name) {
+        case "tailscale-status":
+          return createStatusProvider({ dockerClient });
+        case "tailscale-api":
+          return new TailscaleApiProvider({ config });
+        case "file":
+          return createFileProvider({ config });
+        case "dns":
+          return createDnsProvider({ config });
+        default:
+          throw new Error(`unknown shadow discovery provider: ${name} (expected ${DISCOVERY_PROVIDERS.join(", ")})`);
+      }
+    });
+    if (this.providers.length === 0) {
+      throw new Error("DOCKER_MANAGER_SHADOW_DISCOVERY must name at least one provider");
+    }
+  }
+
+  // union tolerates failing providers as long as one answers; intersection needs all of them
+  async discover() {
+    const outcomes = await Promise.all(
+      this.providers.map(async (provider) => {
+        const startedAt = Date.now();
+        try {
+          const output = await provider.discover();
+          return { provider: provider.name, ok: true, count: output.nodes.length, durationMs: Date.now() - startedAt, error: "", output };
+        } catch (error) {
+          const message = error && error.message ? error.message : String(error);
+          this.logger.warn("tailscale-sync", `peer discovery via ${provider.name} failed: ${message}`);
+          return { provider: provider.name, ok: false, count: 0, durationMs: Date.now() - startedAt, error: message, output: null };
+        }
+      }),
+    );
+    const sources = outcomes.map(({ output, ...source }) => source);
+    const results = outcomes.filter((item) => item.ok).map((item) => ({ provider: item.provider, ...item.output }));
+    const failed = sources.filter((item) => !item.ok);
+    if (results.length === 0 || (this.mode === "intersection" && failed.length > 0)) {
+      throw new Error(`peer discovery (${this.mode}) failed: ${failed.map((item) => `${item.provider}: ${item.error}`).join("; ")}`);
+    }
+    const selfIps = new Set([...localIps(), ...results.flatMap((item) => item.selfIps)]);
+    return { mode: this.mode, nodes: mergeNodes(results, this.mode), selfIps, sources };
+  }
+}
+
+module.exports = {
+  PeerDiscovery,
+};
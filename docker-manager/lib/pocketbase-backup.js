@@ -0,0 +1,452 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+
+const { runCommand, runWithAbortSignal } = require("./command-runner");
+const { normalizeValue } = require("./config");
+const { createStepRecorder, pickDigest, readFirstItem } = require("./image-updates");
+
+const BACKUP_ID_PATTERN = /^\d{8}T\d{9}Z-[a-z-]+$/;
+const QUIESCE_MODES = ["pause", "stop"];
+// how long VACUUM INTO waits for a pocketbase write lock before sqlite3 gives up with SQLITE_BUSY
+const SQLITE_BUSY_TIMEOUT_MS = 10000;
+
+const createBackupError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const describeError = (error) => (error && error.message ? error.message : String(error));
+
+// 2026-10-19T08:15:00.123Z -> 20261019T081500123Z-<reason>, sortable by name
+const buildBackupId = (reason) => `${new Date().toISOString().replace(/[-:.]/g, "")}-${reason}`;
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+// Moves entries instead of the directory itself so a bind-mounted data dir keeps working.
+const moveEntries = async (fromDir, toDir) => {
+  await fsp.mkdir(toDir, { recursive: true });
+  for (const name of await fsp.readdir(fromDir)) {
+    await fsp.rename(path.join(fromDir, name), path.join(toDir, name));
+  }
+};
+
+const clearEntries = async (dir) => {
+  for (const name of await fsp.readdir(dir)) {
+    await fsp.rm(path.join(dir, name), { recursive: true, force: true });
+  }
+};
+
+class PocketbaseBackups {
+  constructor({ dockerClient, config, logger, watchdog = null }) {
+    this.dockerClient = dockerClient;
+    this.config = config;
+    this.logger = logger;
+    this.watchdog = watchdog;
+    this.busy = "";
+  }
+
+  archivePath(id) {
+    return path.join(this.config.backupDir, `${id}.tar.gz`);
+  }
+
+  manifestPath(id) {
+    return path.join(this.config.backupDir, `${id}.json`);
+  }
+
+  assertBackupId(value) {
+    const id = normalizeValue(value);
+    if (!BACKUP_ID_PATTERN.test(id)) {
+      throw createBackupError(`invalid backup id: ${id || "(empty)"}`, 400);
+    }
+    return id;
+  }
+
+  assertMode(value) {
+    const mode = normalizeValue(value).toLowerCase() || "pause";
+    if (!QUIESCE_MODES.includes(mode)) {
+      throw createBackupError(`unsupported backup mode: ${mode} (use ${QUIESCE_MODES.join(" or ")})`, 400);
+    }
+    return mode;
+  }
+
+  async list() {
+    let names;
+    try {
+      names = await fsp.readdir(this.config.backupDir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+    const manifests = [];
+    for (const name of names.filter((item) => item.endsWith(".json")).sort().reverse()) {
+      try {
+        manifests.push(JSON.parse(await fsp.readFile(path.join(this.config.backupDir, name), "utf8")));
+      } catch (error) {
+        this.logger.warn("backup", `skip unreadable manifest ${name}: ${describeError(error)}`);
+      }
+    }
+    return manifests;
+  }
+
+  async readManifest(id) {
+    try {
+      return JSON.parse(await fsp.readFile(this.manifestPath(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw createBackupError(`backup not found: ${id}`, 404);
+      }
+      throw error;
+    }
+  }
+
+  async runExclusive(operation, fn) {
+    if (this.busy) {
+      throw createBackupError(`pocketbase ${this.busy} is already in progress`, 409);
+    }
+    this.busy = operation;
+    try {
+      return await fn();
+    } finally {
+      this.busy = "";
+    }
+  }
+
+  holdWatchdog(reason) {
+    if (this.watchdog) {
+      this.watchdog.setMaintenance(this.config.pocketbaseContainer, reason);
+    }
+  }
+
+  releaseWatchdog() {
+    if (this.watchdog) {
+      this.watchdog.clearMaintenance(this.config.pocketbaseContainer);
+    }
+  }
+
+  async inspectContainer() {
+    try {
+      return readFirstItem(await this.dockerClient.containerInspect(this.config.pocketbaseContainer, { asJson: true }));
+    } catch (error) {
+      this.logger.warn("backup", `cannot inspect ${this.config.pocketbaseContainer}: ${describeError(error)}`);
+      return null;
+    }
+  }
+
+  async create({ mode = "pause" } = {}) {
+    const quiesce = this.assertMode(mode);
+    return this.runExclusive("backup", async () => {
+      const recorder = createStepRecorder(`backup ${this.config.pocketbaseContainer}`);
+      const snapshot = await this.createSnapshot(recorder, { reason: "manual", mode: quiesce });
+      if (!snapshot.ok) {
+        return recorder.finish(1, { backup: null, pruned: [] }, `${snapshot.detail}\n`);
+      }
+      const pruned = await this.prune([snapshot.manifest.id], recorder);
+      return recorder.finish(0, { backup: snapshot.manifest, pruned });
+    });
+  }
+
+  async createSnapshot(recorder, { reason, mode, containerStopped = false }) {
+    const { pocketbaseContainer: container, pocketbaseDataDir: dataDir } = this.config;
+    try {
+      await fsp.access(dataDir);
+    } catch (error) {
+      throw createBackupError(`pocketbase data dir not found: ${dataDir}`, 404);
+    }
+    await fsp.mkdir(this.config.backupDir, { recursive: true });
+
+    const id = buildBackupId(reason);
+    const archivePath = this.archivePath(id);
+    const partialPath = `${archivePath}.partial`;
+    const startedAt = Date.now();
+    const info = await this.inspectContainer();
+    const imageId = info ? info.Image : "";
+    const imageInfo = imageId ? readFirstItem(await this.dockerClient.imageInspect(imageId)) : null;
+    const running = !containerStopped && Boolean(info && info.State && info.State.Running && !info.State.Paused);
+
+    let archived;
+    let resumed = null;
+    if (running) {
+      this.holdWatchdog(`backup ${id}`);
+      const quiesced = await this.dockerClient.containerMutate(container, mode);
+      recorder.record(mode, quiesced);
+      if (quiesced.code !== 0) {
+        this.releaseWatchdog();
+        return { ok: false, detail: `cannot ${mode} ${container}: ${normalizeValue(quiesced.stderr)}` };
+      }
+    } else if (!containerStopped) {
+      recorder.note(`[${mode}] skipped: ${container} is not running`);
+    }
+    try {
+      archived = await runCommand("tar", ["-czf", partialPath, "-C", dataDir, "."], {
+        timeoutMs: this.config.backupTimeoutSec * 1000,
+      });
+      recorder.record("archive", archived);
+    } finally {
+      if (running) {
+        // resume even when the job was cancelled mid-archive
+        const resumeCommand = mode === "pause" ? "unpause" : "start";
+        resumed = await runWithAbortSignal(null, () => this.dockerClient.containerMutate(container, resumeCommand));
+        recorder.record("resume", resumed);
+        this.releaseWatchdog();
+      }
+    }
+    if (archived.code !== 0) {
+      await fsp.rm(partialPath, { force: true });
+      return { ok: false, detail: `tar exited ${archived.code}: ${normalizeValue(archived.stderr)}` };
+    }
+
+    await fsp.rename(partialPath, archivePath);
+    const stat = await fsp.stat(archivePath);
+    const manifest = {
+      id,
+      createdAt: new Date(startedAt).toISOString(),
+      reason,
+      container,
+      dataDir,
+      archive: path.basename(archivePath),
+      sizeBytes: stat.size,
+      sha256: await hashFile(archivePath),
+      image: info && info.Config ? info.Config.Image : "",
+      imageId,
+      imageDigest: pickDigest(imageInfo),
+      quiesce: running || containerStopped ? mode : "none",
+      durationMs: Date.now() - startedAt,
+    };
+    const manifestPath = this.manifestPath(id);
+    await fsp.writeFile(`${manifestPath}.tmp`, `${JSON.stringify(manifest, null, 2)}\n`);
+    await fsp.rename(`${manifestPath}.tmp`, manifestPath);
+    recorder.note(`[manifest] ${id} ${manifest.sizeBytes} bytes sha256=${manifest.sha256}`);
+    this.logger.info("backup", `pocketbase snapshot created: ${id}`, { sizeBytes: manifest.sizeBytes, reason, quiesce: manifest.quiesce });
+    if (resumed && resumed.code !== 0) {
+      return { ok: false, manifest, detail: `snapshot ${id} written but ${container} did not resume: ${normalizeValue(resumed.stderr)}` };
+    }
+    return { ok: true, manifest };
+  }
+
+  async prune(protectedIds, recorder) {
+    const keep = new Set(protectedIds);
+    const manifests = await this.list();
+    const pruned = [];
+    let kept = 0;
+    for (const manifest of manifests) {
+      if (keep.has(manifest.id) || kept < this.config.backupRetention) {
+        kept += 1;
+        continue;
+      }
+      await fsp.rm(this.archivePath(manifest.id), { force: true });
+      await fsp.rm(this.manifestPath(manifest.id), { force: true });
+      pruned.push(manifest.id);
+    }
+    if (pruned.length > 0) {
+      recorder.note(`[retention] kept ${kept}, removed ${pruned.join(", ")}`);
+      this.logger.info("backup", `pruned ${pruned.length} pocketbase snapshots`, { retention: this.config.backupRetention });
+    }
+    return pruned;
+  }
+
+  async restore(idValue) {
+    const id = this.assertBackupId(idValue);
+    return this.runExclusive("restore", async () => {
+      const container = this.config.pocketbaseContainer;
+      const manifest = await this.readManifest(id);
+      const archivePath = this.archivePath(id);
+      let sha256;
+      try {
+        sha256 = await hashFile(archivePath);
+      } catch (error) {
+        throw createBackupError(`backup archive unreadable: ${manifest.archive}: ${describeError(error)}`, 404);
+      }
+      if (sha256 !== manifest.sha256) {
+        throw createBackupError(`backup ${id} failed checksum verification (expected ${manifest.sha256}, got ${sha256})`, 409);
+      }
+
+      const recorder = createStepRecorder(`restore ${container} from ${id}`);
+      const summary = { restored: id, safetyBackup: "", status: "" };
+      recorder.note(`[verify] sha256 ${sha256} ok`);
+      this.holdWatchdog(`restore ${id}`);
+      let outcome;
+      try {
+        const stopped = await this.dockerClient.containerMutate(container, "stop");
+        recorder.record("stop", stopped);
+        outcome =
+          stopped.code === 0
+            ? await this.replaceData(recorder, summary, archivePath)
+            : { status: "stop-failed", detail: normalizeValue(stopped.stderr) };
+      } finally {
+        const started = await runWithAbortSignal(null, () => this.dockerClient.containerMutate(container, "start"));
+        recorder.record("start", started);
+        this.releaseWatchdog();
+        if (outcome && !outcome.detail && started.code !== 0) {
+          outcome = { status: "start-failed", detail: normalizeValue(started.stderr) };
+        }
+      }
+
+      summary.status = outcome.status;
+      if (outcome.detail) {
+        this.logger.warn("backup", `restore of ${id} failed: ${outcome.detail}`, { status: outcome.status });
+        return recorder.finish(1, summary, `${outcome.detail}\n`);
+      }
+      summary.pruned = await this.prune([id, summary.safetyBackup], recorder);
+      this.logger.info("backup", `pocketbase restored from ${id}`, { safetyBackup: summary.safetyBackup });
+      return recorder.finish(0, summary);
+    });
+  }
+
+  async replaceData(recorder, summary, archivePath) {
+    const dataDir = this.config.pocketbaseDataDir;
+    const safety = await this.createSnapshot(recorder, { reason: "pre-restore", mode: "stop", containerStopped: true });
+    if (!safety.ok) {
+      return { status: "safety-backup-failed", detail: safety.detail };
+    }
+    summary.safetyBackup = safety.manifest.id;
+
+    const stagingDir = `${dataDir}.restore-staging`;
+    const replacedDir = `${dataDir}.restore-replaced`;
+    await fsp.rm(stagingDir, { recursive: true, force: true });
+    await fsp.rm(replacedDir, { recursive: true, force: true });
+    await fsp.mkdir(stagingDir, { recursive: true });
+    try {
+      const extracted = await runCommand("tar", ["-xzf", archivePath, "-C", stagingDir], {
+        timeoutMs: this.config.backupTimeoutSec * 1000,
+      });
+      recorder.record("extract", extracted);
+      if (extracted.code !== 0) {
+        return { status: "extract-failed", detail: `tar exited ${extracted.code}: ${normalizeValue(extracted.stderr)}` };
+      }
+      await moveEntries(dataDir, replacedDir);
+      try {
+        await moveEntries(stagingDir, dataDir);
+      } catch (error) {
+        // if this throws too, the old files stay in replacedDir for manual recovery
+        await clearEntries(dataDir);
+        await moveEntries(replacedDir, dataDir);
+        await fsp.rm(replacedDir, { recursive: true, force: true });
+        return { status: "swap-failed", detail: `cannot move restored files into ${dataDir}: ${describeError(error)}` };
+      }
+      await fsp.rm(replacedDir, { recursive: true, force: true });
+      recorder.note(`[swap] ${dataDir} replaced (previous data kept in ${summary.safetyBackup})`);
+      return { status: "restored", detail: "" };
+    } finally {
+      await fsp.rm(stagingDir, { recursive: true, force: true });
+    }
+  }
+
+  pullSnapshotPath(id) {
+    return path.join(this.config.pullSnapshotDir, id);
+  }
+
+  // Copies every SQLite file of the data dir for pull-data on another runner. VACUUM INTO reads
+  // inside one transaction, so the copy is consistent while pocketbase keeps writing to its WAL.
+  async createPullSnapshot() {
+    return this.runExclusive("pull snapshot", async () => {
+      const dataDir = this.config.pocketbaseDataDir;
+      let names;
+      try {
+        names = await fsp.readdir(dataDir);
+      } catch (error) {
+        throw createBackupError(`pocketbase data dir not found: ${dataDir}`, 404);
+      }
+      const databases = names.filter((name) => name.endsWith(".db")).sort();
+      if (databases.length === 0) {
+        throw createBackupError(`no sqlite database in ${dataDir}`, 404);
+      }
+
+      const recorder = createStepRecorder(`pull snapshot ${dataDir}`);
+      const pruned = await this.prunePullSnapshots(recorder);
+      const id = buildBackupId("pull");
+      const snapshotDir = this.pullSnapshotPath(id);
+      const partialDir = `${snapshotDir}.partial`;
+      const startedAt = Date.now();
+      await fsp.mkdir(partialDir, { recursive: true });
+      try {
+        const files = [];
+        for (const name of databases) {
+          const target = path.join(partialDir, name);
+          const vacuumed = await runCommand(
+            "sqlite3",
+            [path.join(dataDir, name), `.timeout ${SQLITE_BUSY_TIMEOUT_MS}`, `VACUUM INTO '${target.replace(/'/g, "''")}'`],
+            { timeoutMs: this.config.backupTimeoutSec * 1000 },
+          );
+          recorder.record(`vacuum ${name}`, vacuumed);
+          if (vacuumed.code !== 0) {
+            const detail = `sqlite3 exited ${vacuumed.code} for ${name}: ${normalizeValue(vacuumed.stderr)}`;
+            this.logger.warn("backup", `pull snapshot failed: ${detail}`);
+            return recorder.finish(1, { snapshot: null, pruned }, `${detail}\n`);
+          }
+          files.push({ name, sizeBytes: (await fsp.stat(target)).size });
+        }
+        await fsp.rename(partialDir, snapshotDir);
+        const snapshot = {
+          id,
+          createdAt: new Date(startedAt).toISOString(),
+          dataDir,
+          path: snapshotDir,
+          files,
+          expiresAt: new Date(startedAt + this.config.pullSnapshotMaxAgeSec * 1000).toISOString(),
+          durationMs: Date.now() - startedAt,
+        };
+        recorder.note(`[snapshot] ${id} ${files.map((file) => `${file.name}=${file.sizeBytes}`).join(" ")}`);
+        this.logger.info("backup", `pull snapshot created: ${id}`, { files: files.length, durationMs: snapshot.durationMs });
+        return recorder.finish(0, { snapshot, pruned });
+      } finally {
+        await fsp.rm(partialDir, { recursive: true, force: true });
+      }
+    });
+  }
+
+  async removePullSnapshot(idValue) {
+    const id = this.assertBackupId(idValue);
+    const snapshotDir = this.pullSnapshotPath(id);
+    if (!fs.existsSync(snapshotDir)) {
+      throw createBackupError(`pull snapshot not found: ${id}`, 404);
+    }
+    const recorder = createStepRecorder(`remove pull snapshot ${id}`);
+    await fsp.rm(snapshotDir, { recursive: true, force: true });
+    recorder.note(`[remove] ${snapshotDir}`);
+    return recorder.finish(0, { removed: id });
+  }
+
+  // snapshots a puller never removed (it crashed or lost the connection) expire here
+  async prunePullSnapshots(recorder) {
+    let names;
+    try {
+      names = await fsp.readdir(this.config.pullSnapshotDir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+    const cutoff = Date.now() - this.config.pullSnapshotMaxAgeSec * 1000;
+    const pruned = [];
+    for (const name of names.sort()) {
+      const entryPath = path.join(this.config.pullSnapshotDir, name);
+      if ((await fsp.stat(entryPath)).mtimeMs < cutoff) {
+        await fsp.rm(entryPath, { recursive: true, force: true });
+        pruned.push(name);
+      }
+    }
+    if (pruned.length > 0) {
+      recorder.note(`[expire] removed ${pruned.join(", ")}`);
+    }
+    return pruned;
+  }
+}
+
+module.exports = {
+  PocketbaseBackups,
+};
@@ -0,0 +1,265 @@
+"use strict";
+
+const { normalizeValue } = require("./config");
+const { parseNginxLogLine } = require("./nginx-log-filter");
+
+const MAX_MISMATCH_SAMPLES = 20;
+// PocketBase record ids, uuids, hex digests and plain numbers are folded into `:id`
+const ID_SEGMENT_PATTERN = /^(\d+|[a-z0-9]{15}|[0-9a-f]{16,}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+const normalizeReportPath = (uri) => {
+  const pathOnly = normalizeValue(uri).split("?")[0] || "/";
+  return pathOnly
+    .split("/")
+    .map((segment) => (ID_SEGMENT_PATTERN.test(segment) ? ":id" : segment))
+    .join("/");
+};
+
+// upstream_* fields hold "a, b" (or "a : b") when nginx tried more than one server; the last one answered.
+const lastUpstreamValue = (value) => {
+  const parts = normalizeValue(value)
+    .split(/\s*[,:]\s+/)
+    .filter(Boolean);
+  const last = parts.length > 0 ? parts[parts.length - 1] : "";
+  return last === "-" ? "" : last;
+};
+
+const readUpstreamStatus = (entry) => {
+  const parsed = Number.parseInt(lastUpstreamValue(entry.fields.upstream_status), 10);
+  return Number.isFinite(parsed) ? parsed : entry.status;
+};
+
+const readUpstreamMs = (entry) => {
+  const seconds = Number.parseFloat(lastUpstreamValue(entry.fields.urt));
+  return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+};
+
+const isErrorStatus = (status) => status === null || status >= 500;
+
+const percentile = (values, ratio) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(ratio * sorted.length) - 1)];
+};
+
+const average = (values) => (values.length === 0 ? null : Math.round(values.reduce((sum, value) => sum + value, 0) / values.length));
+
+const createBucket = () => ({
+  requests: 0,
+  mismatches: 0,
+  mainErrors: 0,
+  shadowErrors: 0,
+  pairs: {},
+  mainMs: [],
+  shadowMs: [],
+  deltaMs: [],
+});
+
+const addToBucket = (bucket, pair) => {
+  bucket.requests += 1;
+  if (pair.mainStatus !== pair.shadowStatus) {
+    bucket.mismatches += 1;
+    const key = `${pair.mainStatus ?? "-"}->${pair.shadowStatus ?? "-"}`;
+    bucket.pairs[key] = (bucket.pairs[key] || 0) + 1;
+  }
+  bucket.mainErrors += isErrorStatus(pair.mainStatus) ? 1 : 0;
+  bucket.shadowErrors += isErrorStatus(pair.shadowStatus) ? 1 : 0;
+  if (pair.mainMs !== null) {
+    bucket.mainMs.push(pair.mainMs);
+  }
+  if (pair.shadowMs !== null) {
+    bucket.shadowMs.push(pair.shadowMs);
+  }
+  if (pair.mainMs !== null && pair.shadowMs !== null) {
+    bucket.deltaMs.push(pair.shadowMs - pair.mainMs);
+  }
+};
+
+const summarizeBucket = (bucket) => {
+  const rate = (count) => (bucket.requests === 0 ? 0 : Math.round((count / bucket.requests) * 10000) / 100);
+  return {
+    requests: bucket.requests,
+    mismatches: bucket.mismatches,
+    mismatchRate: rate(bucket.mismatches),
+    mainErrorRate: rate(bucket.mainErrors),
+    shadowErrorRate: rate(bucket.shadowErrors),
+    statusPairs: bucket.pairs,
+    mainAvgMs: average(bucket.mainMs),
+    mainP95Ms: percentile(bucket.mainMs, 0.95),
+    shadowAvgMs: average(bucket.shadowMs),
+    shadowP95Ms: percentile(bucket.shadowMs, 0.95),
+    deltaAvgMs: average(bucket.deltaMs),
+    deltaP95Ms: percentile(bucket.deltaMs, 0.95),
+  };
+};
+
+const summarizeGroups = (groups, keyName, limit) =>
+  Array.from(groups.entries())
+    .map(([key, bucket]) => ({ [keyName]: key, ...summarizeBucket(bucket) }))
+    .sort((a, b) => b.mismatches - a.mismatches || b.requests - a.requests)
+    .slice(0, limit);
+
+const addToGroup = (groups, key, pair) => {
+  if (!groups.has(key)) {
+    groups.set(key, createBucket());
+  }
+  addToBucket(groups.get(key), pair);
+};
+
+const inWindow = (entry, since, until) =>
+  (since === null || (entry.time !== null && entry.time >= since)) && (until === null || (entry.time !== null && entry.time <= until));
+
+const firstEntryTime = (entries) => {
+  const times = entries.map((entry) => entry.time).filter((time) => time !== null);
+  return times.length > 0 ? Math.min(...times) : null;
+};
+
+// Joins app.access.log (main_mirror format) with shadow.mirror.log by mirror_id; with several
+// shadow groups one main request pairs with one shadow entry per group.
+// A log cut by the line limit (`accessTruncated`/`shadowTruncated`) only reaches back to its first entry.
+// app.access.log also holds every request that was not mirrored and so reaches back less far; both logs
+// are compared over the span both cover, or older shadow entries would lose their main pair.
+const buildShadowDiffReport = ({
+  accessLines,
+  shadowLines,
+  accessTruncated = false,
+  shadowTruncated = false,
+  since = null,
+  until = null,
+  peer = "",
+  limit = 50,
+}) => {
+  const accessEntries = accessLines.map((line) => parseNginxLogLine("access", line));
+  const shadowEntries = shadowLines.map((line) => parseNginxLogLine("shadow", line));
+  const truncated = [];
+  let windowStart = since;
+  for (const [name, isTruncated, entries] of [
+    ["access", accessTruncated, accessEntries],
+    ["shadow", shadowTruncated, shadowEntries],
+  ]) {
+    const first = isTruncated ? firstEntryTime(entries) : null;
+    if (first !== null && (windowStart === null || first > windowStart)) {
+      windowStart = first;
+      truncated.push(name);
+    }
+  }
+
+  const mainById = new Map();
+  for (const entry of accessEntries) {
+    if (entry.mirrorId && inWindow(entry, windowStart, until)) {
+      mainById.set(entry.mirrorId, entry);
+    }
+  }
+
+  const overall = createBucket();
+  const byGroup = new Map();
+  const byPeer = new Map();
+  const byPath = new Map();
+  const samples = [];
+  let notMirrored = 0;
+  let unmatched = 0;
+  for (const shadow of shadowEntries) {
+    // $do_mirror = 0 answers the subrequest with 204 without touching shadow_upstream
+    const shadowAddr = lastUpstreamValue(shadow.fields.upstream_addr);
+    if (!shadow.mirrorId || !inWindow(shadow, windowStart, until)) {
+      continue;
+    }
+    if (!shadowAddr) {
+      notMirrored += 1;
+      continue;
+    }
+    if (peer && shadowAddr !== peer && !shadowAddr.startsWith(`${peer}:`)) {
+      continue;
+    }
+    const main = mainById.get(shadow.mirrorId);
+    if (!main) {
+      unmatched += 1;
+      continue;
+    }
+    const pair = {
+      mirrorId: shadow.mirrorId,
+      time: new Date(main.time).toISOString(),
+      method: main.method,
+      path: normalizeReportPath(main.uri),
+      group: shadow.fields.group || "default",
+      peer: shadowAddr,
+      mainStatus: readUpstreamStatus(main),
+      shadowStatus: readUpstreamStatus(shadow),
+      mainMs: readUpstreamMs(main),
+      shadowMs: readUpstreamMs(shadow),
+    };
+    addToBucket(overall, pair);
+    addToGroup(byGroup, pair.group, pair);
+    addToGroup(byPeer, pair.peer, pair);
+    addToGroup(byPath, `${pair.method} ${pair.path}`, pair);
+    if (pair.mainStatus !== pair.shadowStatus && samples.length < MAX_MISMATCH_SAMPLES) {
+      samples.push(pair);
+    }
+  }
+
+  return {
+    since: since === null ? null : new Date(since).toISOString(),
+    until: until === null ? null : new Date(until).toISOString(),
+    // where the compared span really starts; later than `since` when a log in `truncated` was cut short
+    windowStart: windowStart === null ? null : new Date(windowStart).toISOString(),
+    truncated,
+    peer: peer || null,
+    mainEntries: mainById.size,
+    notMirrored,
+    unmatched,
+    summary: summarizeBucket(overall),
+    groups: summarizeGroups(byGroup, "group", limit),
+    peers: summarizeGroups(byPeer, "peer", limit),
+    paths: summarizeGroups(byPath, "path", limit),
+    mismatchSamples: samples,
+  };
+};
+
+const formatMs = (value) => (value === null ? "-" : String(value));
+
+const formatShadowDiffReport = (report) => {
+  const row = (label, stats) =>
+    [
+      label,
+      stats.requests,
+      `${stats.mismatches} (${stats.mismatchRate}%)`,
+      `${stats.mainErrorRate}%`,
+      `${stats.shadowErrorRate}%`,
+      `${formatMs(stats.mainAvgMs)}/${formatMs(stats.mainP95Ms)}`,
+      `${formatMs(stats.shadowAvgMs)}/${formatMs(stats.shadowP95Ms)}`,
+      `${formatMs(stats.deltaAvgMs)}/${formatMs(stats.deltaP95Ms)}`,
+    ].join("\t");
+  const header = "KEY\tREQUESTS\tMISMATCHES\tMAIN_5XX\tSHADOW_5XX\tMAIN_MS(avg/p95)\tSHADOW_MS(avg/p95)\tDELTA_MS(avg/p95)";
+  const lines = [
+    `window: ${report.windowStart || "-"} .. ${report.until || "now"}${report.peer ? ` peer=${report.peer}` : ""}`,
+    ...(report.truncated.length > 0 ? [`note: since=${report.since || "-"} not reached, ${report.truncated.join("/")} log cut short`] : []),
+    `joined=${report.summary.requests} unmatched=${report.unmatched} notMirrored=${report.notMirrored} mainEntries=${report.mainEntries}`,
+    "(unmatched: shadow entries in the window without a main entry)",
+    "",
+    header,
+    row("total", report.summary),
+    "",
+    "# per shadow group",
+    ...report.groups.map((item) => row(item.group, item)),
+    "",
+    "# per shadow peer",
+    ...report.peers.map((item) => row(item.peer, item)),
+    "",
+    "# per path",
+    ...report.paths.map((item) => row(item.path, item)),
+  ];
+  if (report.mismatchSamples.length > 0) {
+    lines.push("", "# mismatch samples");
+    for (const sample of report.mismatchSamples) {
+      lines.push(`${sample.time} ${sample.mirrorId} ${sample.method} ${sample.path} ${sample.group}/${sample.peer} main=${sample.mainStatus} shadow=${sample.shadowStatus}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+module.exports = {
+  buildShadowDiffReport,
+  formatShadowDiffReport,
+};
@@ -0,0 +1,90 @@
+"use strict";
+
+const { probeUrl } = require("./container-watchdog");
+
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Keeps per-peer probe counters between sync runs so a peer needs `rise`
+// successes to be added and `fall` failures to be removed. Counters are keyed
+// by `peer.key` (group/ip) since groups may probe the same host on other ports.
+// evaluate() only computes the next counters; the caller commits them once the
+// sync that acted on them has been applied.
+class ShadowPeerProber {
+  constructor({ config, logger }) {
+    this.config = config;
+    this.logger = logger;
+    this.states = new Map();
+  }
+
+  buildUrl(peer) {
+    return `http://${peer.ip}:${peer.port}${this.config.shadowProbePath}`;
+  }
+
+  async evaluate(peers, { previousKeys }) {
+    const { shadowProbeRise: rise, shadowProbeFall: fall } = this.config;
+    const checks = await mapWithConcurrency(peers, this.config.shadowProbeConcurrency, (peer) =>
+      probeUrl(this.buildUrl(peer), this.config.shadowProbeTimeoutMs),
+    );
+    const nextStates = new Map();
+    const transitions = [];
+    const results = peers.map((peer, index) => {
+      const url = this.buildUrl(peer);
+      // probeUrl names the URL in its failure detail; results carry it as `url` already
+      const check = { ...checks[index], detail: checks[index].detail.replace(` ${url}`, "") };
+      // peers already in the shadow dir start healthy so a restart does not drop them
+      const current = this.states.get(peer.key) || { healthy: previousKeys.has(peer.key), successes: 0, failures: 0 };
+      const next = { ...current, detail: check.detail, lastCheckAt: new Date().toISOString() };
+      if (check.ok) {
+        next.successes += 1;
+        next.failures = 0;
+        next.healthy = next.healthy || next.successes >= rise;
+      } else {
+        next.failures += 1;
+        next.successes = 0;
+        next.healthy = next.healthy && next.failures < fall;
+      }
+      nextStates.set(peer.key, next);
+      if (next.healthy !== current.healthy) {
+        transitions.push({ peer, healthy: next.healthy, detail: check.detail });
+      }
+      return {
+        key: peer.key,
+        ip: peer.ip,
+        host: peer.host,
+        url,
+        ok: check.ok,
+        detail: check.detail,
+        healthy: next.healthy,
+        successes: next.successes,
+        failures: next.failures,
+      };
+    });
+    const commit = () => {
+      // peers that dropped out of the candidate list start over next time
+      this.states = nextStates;
+      for (const { peer, healthy, detail } of transitions) {
+        this.logger.info("tailscale-sync", `shadow peer ${peer.key} is now ${healthy ? "healthy" : "unhealthy"}`, {
+          host: peer.host,
+          detail,
+        });
+      }
+    };
+    return { results, commit };
+  }
+}
+
+module.exports = {
+  ShadowPeerProber,
+};
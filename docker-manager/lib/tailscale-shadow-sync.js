@@ -3,6 +3,8 @@
 const fs = require("fs");
 const path = require("path");
 
+const { testAndReloadNginx, writeFileAtomic } = require("./nginx-files");
+
 const IPV4_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/;
 
 const normalizeValue = (value) => String(value ?? "").trim();
@@ -16,210 +18,524 @@ const isIpv4 = (value) => {
   return octets.every((octet) => Number.isFinite(octet) && octet >= 0 && octet <= 255);
 };
 
-const readShadowFiles = (shadowDir) => {
+const compareIps = (left, right) => left.localeCompare(right, undefined, { numeric: true, sensitivity: "base" });
+
+// files are keyed by name without ".conf"; isKey keeps hand-made files in the same dir untouched
+const readConfFiles = (dir, isKey) => {
   const state = new Map();
-  fs.mkdirSync(shadowDir, { recursive: true });
-  const entries = fs.readdirSync(shadowDir, { withFileTypes: true });
+  fs.mkdirSync(dir, { recursive: true });
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
   for (const entry of entries) {
     if (!entry.isFile() || !entry.name.endsWith(".conf")) {
       continue;
     }
-    const ip = entry.name.replace(/\.conf$/i, "");
-    if (!isIpv4(ip)) {
+    const key = entry.name.replace(/\.conf$/i, "");
+    if (!isKey(key)) {
       continue;
     }
-    const fullPath = path.join(shadowDir, entry.name);
+    const fullPath = path.join(dir, entry.name);
     const content = fs.readFileSync(fullPath, "utf8");
-    state.set(ip, content);
+    state.set(key, content);
   }
   return state;
 };
 
-const renderShadowContent = (ip, port) => `server ${ip}:${port} max_fails=2 fail_timeout=10s;\n`;
+const readShadowFiles = (shadowDir) => readConfFiles(shadowDir, isIpv4);
 
-const writeShadowState = (shadowDir, desiredState) => {
-  fs.mkdirSync(shadowDir, { recursive: true });
-  const currentEntries = fs.readdirSync(shadowDir, { withFileTypes: true });
-  const existingFiles = new Set();
+const DEFAULT_SERVER_PARAMS = { max_fails: 2, fail_timeout: "10s" };
 
-  for (const entry of currentEntries) {
-    if (!entry.isFile() || !entry.name.endsWith(".conf")) {
-      continue;
+const readIntParam = (min, max) => (value) => {
+  const text = normalizeValue(value);
+  const number = Number.parseInt(text, 10);
+  return /^\d+$/.test(text) && number >= min && number <= max ? number : undefined;
+};
+
+const readFlagParam = (value) => (value === true || value === false ? value : undefined);
+
+// nginx upstream server parameters accepted from the peer params file and tags
+const SERVER_PARAM_SPECS = {
+  weight: readIntParam(1, 1000),
+  max_conns: readIntParam(0, 100000),
+  max_fails: readIntParam(0, 1000),
+  fail_timeout: (value) => (/^\d+(ms|s|m|h)?$/.test(normalizeValue(value)) ? normalizeValue(value) : undefined),
+  backup: readFlagParam,
+  down: readFlagParam,
+};
+
+const validateServerParams = (params, source) => {
+  const valid = {};
+  for (const [key, value] of Object.entries(params || {})) {
+    const spec = SERVER_PARAM_SPECS[key];
+    const parsed = spec ? spec(value) : undefined;
+    if (parsed === undefined) {
+      throw new Error(`invalid shadow server param in ${source}: ${key}=${JSON.stringify(value)}`);
     }
-    const ip = entry.name.replace(/\.conf$/i, "");
-    if (!isIpv4(ip)) {
-      continue;
+    valid[key] = parsed;
+  }
+  return valid;
+};
+
+const renderShadowContent = (ip, port, params = DEFAULT_SERVER_PARAMS) => {
+  const parts = [`server ${ip}:${port}`];
+  for (const key of ["weight", "max_conns", "max_fails", "fail_timeout"]) {
+    if (params[key] !== undefined) {
+      parts.push(`${key}=${params[key]}`);
     }
-    existingFiles.add(ip);
   }
+  for (const key of ["backup", "down"]) {
+    if (params[key]) {
+      parts.push(key);
+    }
+  }
+  return `${parts.join(" ")};\n`;
+};
+
+const writeConfFiles = async (dir, desiredState, isKey) => {
+  const existingFiles = new Set(readConfFiles(dir, isKey).keys());
 
-  for (const [ip, content] of desiredState.entries()) {
-    const filePath = path.join(shadowDir, `${ip}.conf`);
-    const tmpPath = `${filePath}.tmp`;
-    fs.writeFileSync(tmpPath, content, "utf8");
-    fs.renameSync(tmpPath, filePath);
-    existingFiles.delete(ip);
+  for (const [key, content] of desiredState.entries()) {
+    await writeFileAtomic(path.join(dir, `${key}.conf`), content);
+    existingFiles.delete(key);
   }
 
-  for (const ip of existingFiles) {
-    fs.rmSync(path.join(shadowDir, `${ip}.conf`), { force: true });
+  for (const key of existingFiles) {
+    fs.rmSync(path.join(dir, `${key}.conf`), { force: true });
+  }
+};
+
+const writeTargets = async (targets, stateKey) => {
+  for (const target of targets) {
+    await writeConfFiles(target.dir, target[stateKey], target.isKey);
   }
 };
 
+// every target (group dirs and generated nginx files) is written before one shared test/reload
 const applyStateWithRollback = async (options) => {
-  const { shadowDir, previousState, desiredState, dockerClient, logger, nginxContainerName } = options;
-  writeShadowState(shadowDir, desiredState);
+  const { targets, dockerClient, logger } = options;
+  await writeTargets(targets, "desiredState");
+  const failure = await testAndReloadNginx(dockerClient);
+  if (!failure) {
+    return;
+  }
+  logger.error("tailscale-sync", failure, "nginx test/reload failed, rollback started");
+  await writeTargets(targets, "previousState");
+  const rollbackFailure = await testAndReloadNginx(dockerClient);
+  if (rollbackFailure) {
+    logger.error("tailscale-sync", rollbackFailure, "rollback reload failed");
+  }
+  throw failure;
+};
+
+const PEER_RULE_FIELDS = ["tag", "host", "os", "dns"];
+
+const globToRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${escaped}$`, "i");
+};
+
+// "tag:runner", "host:runner-*", "os:linux", "dns:*.tailnet.ts.net"
+const compilePeerRules = (rules) =>
+  rules.map((raw) => {
+    const index = raw.indexOf(":");
+    const field = index > 0 ? raw.slice(0, index).trim().toLowerCase() : "";
+    const pattern = index > 0 ? raw.slice(index + 1).trim() : "";
+    if (!PEER_RULE_FIELDS.includes(field) || !pattern) {
+      throw new Error(`invalid shadow peer rule: ${raw} (expected ${PEER_RULE_FIELDS.join("|")}:<glob>)`);
+    }
+    return { raw, field, regex: globToRegExp(pattern) };
+  });
+
+const compilePortOverrides = (overrides) =>
+  Array.from(overrides.entries()).map(([key, value]) => {
+    const port = Number.parseInt(value, 10);
+    if (!/^\d+$/.test(value) || port < 1 || port > 65535) {
+      throw new Error(`invalid shadow port override: ${key}=${value}`);
+    }
+    return { key, regex: globToRegExp(key), port };
+  });
+
+const SHADOW_GROUP_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const SHADOW_GROUP_KEYS = ["enabled", "port", "include", "exclude", "portOverrides"];
+// generated upstream/location/mirror snippets for the non-default groups, included by app.conf
+const GENERATED_NGINX_DIR = "_nginx";
+const isGeneratedNginxKey = (key) => /^[a-z][a-z0-9_]*\.(upstream|location|mirror)$/.test(key);
+
+const readGroupRules = (value, name, key) => {
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+    throw new Error(`shadow group ${name}: ${key} must be an array of strings`);
+  }
+  return value.map(normalizeValue).filter(Boolean);
+};
+
+const readGroupPortOverrides = (value, name) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`shadow group ${name}: portOverrides must be an object`);
+  }
+  return new Map(Object.entries(value).map(([key, port]) => [key, normalizeValue(port)]));
+};
+
+// { "groups": { "canary": { "port": 3000, "include": ["tag:canary"] }, "loadtest": { "port": 4000, "enabled": false } } }
+// "default" always exists, is built from DOCKER_MANAGER_SHADOW_* and may be overridden by a "default" entry.
+// Group dirs left over from removed groups come back disabled so their files get cleaned up.
+const loadShadowGroups = (config) => {
+  let parsed = {};
   try {
-    await dockerClient.nginxTest();
-    await dockerClient.execInContainer(nginxContainerName, ["nginx", "-s", "reload"]);
+    parsed = JSON.parse(fs.readFileSync(config.shadowGroupsFile, "utf8"));
   } catch (error) {
-    logger.error("tailscale-sync", error, "nginx test/reload failed, rollback started");
-    writeShadowState(shadowDir, previousState);
-    try {
-      await dockerClient.nginxTest();
-      await dockerClient.execInContainer(nginxContainerName, ["nginx", "-s", "reload"]);
-    } catch (rollbackError) {
-      logger.error("tailscale-sync", rollbackError, "rollback reload failed");
+    if (error.code !== "ENOENT") {
+      throw new Error(`invalid shadow groups file ${config.shadowGroupsFile}: ${error.message}`);
     }
-    throw error;
   }
-};
+  const entries = parsed && parsed.groups && typeof parsed.groups === "object" ? parsed.groups : {};
+  const groups = Object.entries({ default: {}, ...entries }).map(([name, raw]) => {
+    if (!SHADOW_GROUP_NAME_PATTERN.test(name)) {
+      throw new Error(`invalid shadow group name: ${name} (expected ${SHADOW_GROUP_NAME_PATTERN})`);
+    }
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      throw new Error(`shadow group ${name} must be a JSON object`);
+    }
+    const unknown = Object.keys(raw).filter((key) => !SHADOW_GROUP_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`shadow group ${name}: unknown field ${unknown.join(", ")} (allowed: ${SHADOW_GROUP_KEYS.join(", ")})`);
+    }
+    const isDefault = name === "default";
+    const port = raw.port === undefined ? config.shadowPort : readIntParam(1, 65535)(raw.port);
+    if (port === undefined) {
+      throw new Error(`shadow group ${name}: port must be 1..65535`);
+    }
+    const inherit = (key, fallback) => (isDefault ? config[key] : fallback);
+    return {
+      name,
+      dir: isDefault ? config.shadowDir : path.join(config.shadowDir, name),
+      enabled: raw.enabled !== false,
+      port,
+      include: compilePeerRules(raw.include === undefined ? inherit("shadowInclude", []) : readGroupRules(raw.include, name, "include")),
+      exclude: compilePeerRules(raw.exclude === undefined ? inherit("shadowExclude", []) : readGroupRules(raw.exclude, name, "exclude")),
+      portOverrides: compilePortOverrides(
+        raw.portOverrides === undefined ? inherit("shadowPortOverrides", new Map()) : readGroupPortOverrides(raw.portOverrides, name),
+      ),
+    };
+  });
 
-const isPeerActive = (peer) => {
-  const rawFlags = [peer && peer.Online, peer && peer.online, peer && peer.Active, peer && peer.active];
-  const explicitFlags = rawFlags.filter((value) => value === true || value === false);
-  if (explicitFlags.length > 0) {
-    return explicitFlags.some((value) => value === true);
+  fs.mkdirSync(config.shadowDir, { recursive: true });
+  for (const entry of fs.readdirSync(config.shadowDir, { withFileTypes: true })) {
+    const dir = path.join(config.shadowDir, entry.name);
+    if (entry.isDirectory() && SHADOW_GROUP_NAME_PATTERN.test(entry.name) && !groups.some((group) => group.name === entry.name)) {
+      if (readShadowFiles(dir).size > 0) {
+        groups.push({ name: entry.name, dir, enabled: false, port: config.shadowPort, include: [], exclude: [], portOverrides: [] });
+      }
+    }
   }
-  const curAddr = normalizeValue(peer && (peer.CurAddr || peer.curAddr));
-  return Boolean(curAddr);
+  return groups;
 };
 
-const collectNodeIps = (node) => {
-  const ipValues = [];
-  const candidates = [
-    node && node.TailscaleIPs,
-    node && node.tailscaleIPs,
-    node && node.tailscaleIps,
-    node && node.Addresses,
-    node && node.addresses,
-    node && node.ips,
+// the default group keeps the static shadow_upstream and /__shadow from nginx/
+const renderGroupNginxFiles = (name, nginxShadowDir) => {
+  const header = `# generated by docker-manager for shadow group ${name}, do not edit by hand`;
+  const upstream = [
+    header,
+    `upstream shadow_${name} {`,
+    `  zone shadow_${name} 64k;`,
+    "  least_conn;",
+    "  server 127.0.0.1:65535 down;",
+    `  include ${nginxShadowDir}/${name}/*.conf;`,
+    "}",
   ];
-  for (const list of candidates) {
-    if (!Array.isArray(list)) {
+  const location = [
+    header,
+    `location = /__shadow_${name} {`,
+    "  internal;",
+    `  set $shadow_group ${name};`,
+    "",
+    "  if ($do_mirror = 0) {",
+    "    return 204;",
+    "  }",
+    "",
+    "  include /etc/nginx/snippets/shadow-proxy.conf;",
+    "",
+    `  proxy_pass http://shadow_${name}$request_uri;`,
+    "}",
+  ];
+  return new Map([
+    [`${name}.upstream`, `${upstream.join("\n")}\n`],
+    [`${name}.location`, `${location.join("\n")}\n`],
+    [`${name}.mirror`, `${header}\nmirror /__shadow_${name};\n`],
+  ]);
+};
+
+// tag:shadow-weight-3, tag:shadow-max-conns-20, tag:shadow-backup, tag:shadow-down
+const readTagParams = (tags) => {
+  const params = {};
+  for (const tag of tags) {
+    const flag = tag.match(/^shadow-(backup|down)$/i);
+    if (flag) {
+      params[flag[1].toLowerCase()] = true;
       continue;
     }
-    for (const item of list) {
-      const ip = normalizeValue(item);
-      if (isIpv4(ip) && !ipValues.includes(ip)) {
-        ipValues.push(ip);
-      }
+    const valued = tag.match(/^shadow-(weight|max-conns|max-fails|fail-timeout)-([0-9a-z]+)$/i);
+    if (valued) {
+      params[valued[1].toLowerCase().replace(/-/g, "_")] = valued[2].toLowerCase();
+    }
+  }
+  return params;
+};
+
+// { "defaults": {...}, "peers": { "<ip|hostname|dns glob>": { "weight": 3, "down": true } } }
+const readPeerParamsFile = (filePath) => {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { defaults: {}, peers: [] };
+    }
+    throw error;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`invalid shadow peer params file ${filePath}: ${error.message}`);
+  }
+  const peers = parsed && parsed.peers && typeof parsed.peers === "object" ? parsed.peers : {};
+  return {
+    defaults: validateServerParams(parsed && parsed.defaults, `${filePath} defaults`),
+    peers: Object.entries(peers).map(([key, params]) => ({
+      key,
+      regex: globToRegExp(key),
+      params: validateServerParams(params, `${filePath} peers.${key}`),
+    })),
+  };
+};
+
+// built-in defaults < file defaults < peer tags < file peer entries (in file order)
+const resolveServerParams = (store, peer) => {
+  const tagParams = validateServerParams(readTagParams(peer.tags), `tags of ${peer.host || peer.ip}`);
+  let params = { ...DEFAULT_SERVER_PARAMS, ...store.defaults, ...tagParams };
+  for (const entry of store.peers) {
+    if ([peer.ip, peer.host, peer.dns].some((value) => value && entry.regex.test(value))) {
+      params = { ...params, ...entry.params };
     }
   }
-  return ipValues;
+  return params;
+};
+
+const matchesPeerRule = (rule, info) => {
+  if (rule.field === "tag") {
+    return info.tags.some((tag) => rule.regex.test(tag));
+  }
+  return rule.regex.test(info[rule.field]);
+};
+
+// Overrides match a peer by ip, hostname or DNS name; the first match wins.
+const resolvePeerPort = (portOverrides, ip, info, defaultPort) => {
+  const match = portOverrides.find((item) => [ip, info.host, info.dns].some((value) => value && item.regex.test(value)));
+  return match ? match.port : defaultPort;
 };
 
-const extractActivePeerIps = (statusPayload) => {
-  const peers = statusPayload && statusPayload.Peer && typeof statusPayload.Peer === "object" ? Object.values(statusPayload.Peer) : [];
-  const selfNode = statusPayload && statusPayload.Self ? statusPayload.Self : {};
-  const selfIps = new Set(collectNodeIps(selfNode));
-  const selfId = normalizeValue(selfNode.ID || selfNode.id);
-  const selectedIps = [];
+// nodes come from PeerDiscovery; a node's SRV/file port is used unless a port override matches
+const selectShadowPeers = (nodes, { selfIps, include = [], exclude = [], portOverrides = [], defaultPort }) => {
+  const selected = [];
+  const skipped = [];
 
-  for (const peer of peers) {
-    if (!peer || typeof peer !== "object") {
+  for (const node of nodes) {
+    if (node.ips.some((ip) => selfIps.has(ip))) {
       continue;
     }
-    const peerId = normalizeValue(peer.ID || peer.id);
-    if (peer.Self === true) {
+    const { ips } = node;
+    if (!node.online) {
+      skipped.push({ host: node.host, ips, reason: "offline" });
       continue;
     }
-    if (selfId && peerId && selfId === peerId) {
+    if (include.length > 0 && !include.some((rule) => matchesPeerRule(rule, node))) {
+      skipped.push({ host: node.host, ips, reason: "no include rule matched" });
       continue;
     }
-    if (!isPeerActive(peer)) {
+    const excludedBy = exclude.find((rule) => matchesPeerRule(rule, node));
+    if (excludedBy) {
+      skipped.push({ host: node.host, ips, reason: `excluded by ${excludedBy.raw}` });
       continue;
     }
-    const ips = collectNodeIps(peer);
     for (const ip of ips) {
-      if (selfIps.has(ip)) {
-        continue;
-      }
-      if (!selectedIps.includes(ip)) {
-        selectedIps.push(ip);
+      if (!selected.some((item) => item.ip === ip)) {
+        selected.push({
+          ip,
+          host: node.host,
+          dns: node.dns,
+          tags: node.tags,
+          sources: node.sources,
+          port: resolvePeerPort(portOverrides, ip, node, node.port || defaultPort),
+        });
       }
     }
   }
 
-  selectedIps.sort((left, right) => left.localeCompare(right, undefined, { numeric: true, sensitivity: "base" }));
-  return selectedIps;
+  selected.sort((left, right) => compareIps(left.ip, right.ip));
+  return { selected, skipped };
 };
 
-const runTailscaleShadowSync = async ({ dockerClient, config, logger }) => {
-  const statusResult = await dockerClient.tailscaleStatus({ asJson: true });
-  let payload;
-  try {
-    payload = JSON.parse(String(statusResult.stdout || "{}"));
-  } catch (error) {
-    throw new Error(`invalid tailscale status json: ${error.message}`);
-  }
+const describeConfFiles = (previousState, nextState) => {
+  const keys = Array.from(new Set([...previousState.keys(), ...nextState.keys()])).sort(compareIps);
+  return keys.map((key) => {
+    const previousContent = previousState.has(key) ? previousState.get(key) : null;
+    const content = nextState.has(key) ? nextState.get(key) : null;
+    let action = "keep";
+    if (previousContent === null) {
+      action = "add";
+    } else if (content === null) {
+      action = "remove";
+    } else if (previousContent !== content) {
+      action = "update";
+    }
+    return { key, file: `${key}.conf`, action, content, previousContent };
+  });
+};
 
-  const nextIps = extractActivePeerIps(payload);
-  const previousState = readShadowFiles(config.shadowDir);
-  const nextState = new Map();
-  for (const ip of nextIps) {
-    nextState.set(ip, renderShadowContent(ip, config.shadowPort));
-  }
+const describeShadowFiles = (previousState, nextState) =>
+  describeConfFiles(previousState, nextState).map(({ key, ...item }) => ({ ip: key, ...item }));
 
-  const previousIps = Array.from(previousState.keys()).sort((left, right) =>
-    left.localeCompare(right, undefined, { numeric: true, sensitivity: "base" }),
-  );
+// All groups share one discovery, one probe round and one nginx test/reload.
+// dryRun computes the same plan but never writes files or reloads nginx
+const runTailscaleShadowSync = async ({
+  dockerClient,
+  config,
+  logger,
+  discovery,
+  prober = null,
+  mainHosts = new Set(),
+  dryRun = false,
+}) => {
+  const groups = loadShadowGroups(config);
+  const { nodes, selfIps, sources } = await discovery.discover();
+  const plans = groups.map((group) => {
+    const previousState = readShadowFiles(group.dir);
+    if (!group.enabled) {
+      return { group, previousState, candidates: [], skipped: [] };
+    }
+    const { selected, skipped } = selectShadowPeers(nodes, {
+      selfIps,
+      include: group.include,
+      exclude: group.exclude,
+      portOverrides: group.portOverrides,
+      defaultPort: group.port,
+    });
+    for (const item of selected.filter((peer) => mainHosts.has(peer.ip))) {
+      skipped.push({ host: item.host, ips: [item.ip], reason: "serving as main upstream" });
+    }
+    const candidates = selected
+      .filter((item) => !mainHosts.has(item.ip))
+      .map((item) => ({ ...item, group: group.name, key: `${group.name}/${item.ip}` }));
+    return { group, previousState, candidates, skipped };
+  });
 
-  const added = nextIps.filter((ip) => !previousState.has(ip));
-  const removed = previousIps.filter((ip) => !nextState.has(ip));
-  const changed = added.length > 0 || removed.length > 0;
+  let probes = [];
+  // hysteresis counters only advance once the files built from them are in place,
+  // so a plan or a failed apply re-evaluates from the same counters next time
+  let commitProbes = () => {};
+  if (prober) {
+    const previousKeys = new Set(plans.flatMap((plan) => Array.from(plan.previousState.keys(), (ip) => `${plan.group.name}/${ip}`)));
+    const evaluated = await prober.evaluate(plans.flatMap((plan) => plan.candidates), { previousKeys });
+    probes = evaluated.results;
+    commitProbes = evaluated.commit;
+  }
+  const probeByKey = new Map(probes.map((probe) => [probe.key, probe]));
+  const paramsStore = readPeerParamsFile(config.shadowPeerParamsFile);
 
-  logger.info("tailscale-sync", "tailscale scan result", {
-    previousIps,
-    nextIps,
-    added,
-    removed,
-    changed,
-  });
+  const targets = [];
+  const results = plans.map(({ group, previousState, candidates, skipped }) => {
+    for (const item of candidates.map((peer) => probeByKey.get(peer.key)).filter((probe) => probe && !probe.healthy)) {
+      const reason = `probe ${item.url} not healthy (${item.successes} ok in a row): ${item.detail}`;
+      skipped.push({ host: item.host, ips: [item.ip], reason });
+    }
+    const selected = [];
+    for (const item of candidates.filter((peer) => !prober || probeByKey.get(peer.key).healthy)) {
+      // tags are set on the peer itself, so one bad tag skips that peer instead of failing the whole sync
+      try {
+        selected.push({ ...item, params: resolveServerParams(paramsStore, item) });
+      } catch (error) {
+        skipped.push({ host: item.host, ips: [item.ip], reason: error.message });
+        logger.warn("tailscale-sync", `skipping shadow peer ${item.key}: ${error.message}`, { group: group.name });
+      }
+    }
+    const nextState = new Map();
+    for (const item of selected) {
+      nextState.set(item.ip, renderShadowContent(item.ip, item.port, item.params));
+    }
+    targets.push({ dir: group.dir, previousState, desiredState: nextState, isKey: isIpv4 });
 
-  if (!changed) {
+    const files = describeShadowFiles(previousState, nextState);
+    const added = files.filter((item) => item.action === "add").map((item) => item.ip);
+    const removed = files.filter((item) => item.action === "remove").map((item) => item.ip);
+    const updated = files.filter((item) => item.action === "update").map((item) => item.ip);
     return {
-      changed: false,
-      previousIps,
-      nextIps,
+      name: group.name,
+      enabled: group.enabled,
+      dir: group.dir,
+      port: group.port,
+      changed: added.length > 0 || removed.length > 0 || updated.length > 0,
+      previousIps: Array.from(previousState.keys()).sort(compareIps),
+      nextIps: selected.map((item) => item.ip),
       added,
       removed,
+      updated,
+      peers: selected,
+      skipped,
+      files,
     };
+  });
+
+  const generatedDir = path.join(config.shadowDir, GENERATED_NGINX_DIR);
+  const previousGenerated = readConfFiles(generatedDir, isGeneratedNginxKey);
+  const nextGenerated = new Map();
+  for (const group of groups.filter((item) => item.enabled && item.name !== "default")) {
+    for (const [key, content] of renderGroupNginxFiles(group.name, config.nginxShadowDir)) {
+      nextGenerated.set(key, content);
+    }
   }
+  targets.push({ dir: generatedDir, previousState: previousGenerated, desiredState: nextGenerated, isKey: isGeneratedNginxKey });
+  const nginxFiles = describeConfFiles(previousGenerated, nextGenerated);
 
-  await applyStateWithRollback({
-    shadowDir: config.shadowDir,
-    previousState,
-    desiredState: nextState,
-    dockerClient,
-    logger,
-    nginxContainerName: config.nginxContainer,
+  const changed = results.some((item) => item.changed) || nginxFiles.some((item) => item.action !== "keep");
+  const summary = {
+    changed,
+    applied: false,
+    dryRun,
+    discovery: sources,
+    probes,
+    groups: results,
+    nginxFiles,
+  };
+
+  logger.info("tailscale-sync", dryRun ? "tailscale sync plan" : "tailscale scan result", {
+    discovery: sources.map((item) => `${item.provider}=${item.ok ? item.count : "failed"}`),
+    groups: Object.fromEntries(
+      results.map((item) => [item.name, { nextIps: item.nextIps, added: item.added, removed: item.removed, updated: item.updated }]),
+    ),
+    nginxFiles: nginxFiles.filter((item) => item.action !== "keep").map((item) => `${item.action} ${item.file}`),
+    changed,
   });
 
+  if (dryRun) {
+    return summary;
+  }
+  if (!changed) {
+    commitProbes();
+    return summary;
+  }
+
+  await applyStateWithRollback({ targets, dockerClient, logger });
+  commitProbes();
+
   logger.info("tailscale-sync", "shadow files synced and nginx reloaded", {
-    added,
-    removed,
+    groups: results.filter((item) => item.changed).map((item) => item.name),
   });
 
-  return {
-    changed: true,
-    previousIps,
-    nextIps,
-    added,
-    removed,
-  };
+  return { ...summary, applied: true };
 };
 
 module.exports = {
+  isIpv4,
+  loadShadowGroups,
+  readShadowFiles,
   runTailscaleShadowSync,
 };
@@ -0,0 +1,205 @@
+"use strict";
+
+const describeError = (error) => (error && error.message ? error.message : String(error));
+
+// `tailscale debug watch-ipn` prints each notification as indented JSON, so objects are split on brace depth.
+const createJsonObjectSplitter = (onObject) => {
+  let buffer = "";
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  return (chunk) => {
+    for (const char of chunk) {
+      if (depth === 0 && char !== "{") {
+        continue;
+      }
+      buffer += char;
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+      if (char === '"') {
+        inString = true;
+      } else if (char === "{") {
+        depth += 1;
+      } else if (char === "}") {
+        depth -= 1;
+        if (depth === 0) {
+          const text = buffer;
+          buffer = "";
+          onObject(text);
+        }
+      }
+    }
+  };
+};
+
+// only the peer fields shadow peer selection looks at; key rotations, endpoints and DERP changes are ignored
+const fingerprintNetMap = (netMap) =>
+  (netMap && Array.isArray(netMap.Peers) ? netMap.Peers : [])
+    .map((peer) => {
+      const hostinfo = peer.Hostinfo || {};
+      return JSON.stringify([peer.Name, peer.Addresses, peer.Online, peer.Tags, hostinfo.Hostname, hostinfo.OS]);
+    })
+    .sort()
+    .join("\n");
+
+// Keeps `tailscale debug watch-ipn` open in the tailscale container and turns netmap peer changes
+// into a debounced shadow sync. While the watch is down the interval timer polls as before.
+class TailscaleWatcher {
+  constructor({ dockerClient, config, logger, onChange, isBusy }) {
+    this.dockerClient = dockerClient;
+    this.config = config;
+    this.logger = logger;
+    this.onChange = onChange;
+    this.isBusy = isBusy;
+    this.stopped = true;
+    this.stream = null;
+    this.connected = false;
+    this.connectedAt = null;
+    this.lastEventAt = null;
+    this.lastTriggerAt = null;
+    this.lastError = "";
+    this.ipnState = null;
+    this.fingerprint = null;
+    this.pendingReason = "";
+    this.debounceHandle = null;
+    this.reconnectHandle = null;
+    this.consecutiveFailures = 0;
+    this.restarts = 0;
+    this.triggers = 0;
+  }
+
+  start() {
+    this.stopped = false;
+    void this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.debounceHandle);
+    clearTimeout(this.reconnectHandle);
+    if (this.stream) {
+      this.stream.stop("watcher stopped");
+    }
+  }
+
+  // interval ticks are skipped while the watch is up, except for the periodic resync that keeps probes moving
+  shouldPoll(lastRunAt) {
+    if (!this.connected) {
+      return true;
+    }
+    return Date.now() - Date.parse(lastRunAt || 0) >= this.config.tailscaleWatchResyncSec * 1000;
+  }
+
+  async connect() {
+    this.reconnectHandle = null;
+    if (this.stopped) {
+      return;
+    }
+    let stderr = "";
+    let detail = "";
+    try {
+      this.stream = await this.dockerClient.watchTailscaleIpn({
+        onStdout: createJsonObjectSplitter((text) => this.handleMessage(text)),
+        onStderr: (chunk) => {
+          stderr = `${stderr}${chunk}`.slice(-2000);
+        },
+      });
+      this.connected = true;
+      this.connectedAt = new Date().toISOString();
+      this.logger.info("tailscale-watch", "ipn bus watch started", { command: this.stream.command });
+      const result = await this.stream.done;
+      detail = result.stopReason || `exit ${result.code}${stderr.trim() ? `: ${stderr.trim()}` : ""}`;
+    } catch (error) {
+      detail = describeError(error);
+    }
+    this.stream = null;
+    this.connected = false;
+    if (this.stopped) {
+      return;
+    }
+    this.consecutiveFailures += 1;
+    this.restarts += 1;
+    this.lastError = detail;
+    const delaySec = Math.min(this.config.tailscaleWatchRetryMaxSec, 2 ** (this.consecutiveFailures - 1));
+    this.logger.warn("tailscale-watch", `ipn bus watch ended (${detail}), interval polling until it reconnects in ${delaySec}s`);
+    this.reconnectHandle = setTimeout(() => {
+      void this.connect();
+    }, delaySec * 1000);
+  }
+
+  handleMessage(text) {
+    let notify;
+    try {
+      notify = JSON.parse(text);
+    } catch (error) {
+      this.logger.warn("tailscale-watch", `cannot parse ipn notification: ${describeError(error)}`);
+      return;
+    }
+    this.lastEventAt = new Date().toISOString();
+    this.consecutiveFailures = 0;
+    const reasons = [];
+    if (notify.State !== undefined && notify.State !== this.ipnState) {
+      reasons.push(`ipn state ${this.ipnState ?? "-"} -> ${notify.State}`);
+      this.ipnState = notify.State;
+    }
+    if (notify.NetMap !== undefined) {
+      const fingerprint = fingerprintNetMap(notify.NetMap);
+      if (fingerprint !== this.fingerprint) {
+        reasons.push(this.fingerprint === null ? "initial netmap" : "netmap peers changed");
+        this.fingerprint = fingerprint;
+      }
+    }
+    if (reasons.length > 0) {
+      this.schedule(reasons.join(", "));
+    }
+  }
+
+  schedule(reason) {
+    this.pendingReason = this.pendingReason ? `${this.pendingReason}, ${reason}` : reason;
+    clearTimeout(this.debounceHandle);
+    this.debounceHandle = setTimeout(() => this.fire(), this.config.tailscaleWatchDebounceMs);
+  }
+
+  fire() {
+    // a sync already running may have read the old netmap, so wait for it and run again
+    if (this.isBusy()) {
+      this.debounceHandle = setTimeout(() => this.fire(), this.config.tailscaleWatchDebounceMs);
+      return;
+    }
+    const reason = this.pendingReason;
+    this.debounceHandle = null;
+    this.pendingReason = "";
+    this.triggers += 1;
+    this.lastTriggerAt = new Date().toISOString();
+    this.logger.info("tailscale-watch", "tailscale peers changed, reconciling shadow peers", { reason });
+    void this.onChange(reason);
+  }
+
+  getState() {
+    return {
+      enabled: !this.stopped,
+      connected: this.connected,
+      connectedAt: this.connectedAt,
+      lastEventAt: this.lastEventAt,
+      lastTriggerAt: this.lastTriggerAt,
+      pending: this.pendingReason,
+      triggers: this.triggers,
+      restarts: this.restarts,
+      lastError: this.lastError,
+      debounceMs: this.config.tailscaleWatchDebounceMs,
+      resyncSec: this.config.tailscaleWatchResyncSec,
+    };
+  }
+}
+
+module.exports = {
+  TailscaleWatcher,
+};
@@ -6,9 +6,26 @@
  * - Modules:
  *   - docker-manager/lib/config.js
  *   - docker-manager/lib/logger.js
+ *   - docker-manager/lib/access-tokens.js
+ *   - docker-manager/lib/audit-log.js
+ *   - docker-manager/lib/main-upstream.js
+ *   - docker-manager/lib/metrics.js
  *   - docker-manager/lib/command-runner.js
+ *   - docker-manager/lib/job-queue.js
+ *   - docker-manager/lib/container-watchdog.js
  *   - docker-manager/lib/docker-client.js
+ *   - docker-manager/lib/docker-engine-client.js
+ *   - docker-manager/lib/image-updates.js
+ *   - docker-manager/lib/peer-discovery.js
+ *   - docker-manager/lib/pocketbase-backup.js
+ *   - docker-manager/lib/log-stream.js
+ *   - docker-manager/lib/mirror-rules.js
+ *   - docker-manager/lib/nginx-files.js
+ *   - docker-manager/lib/nginx-log-filter.js
+ *   - docker-manager/lib/shadow-diff-report.js
+ *   - docker-manager/lib/shadow-peer-probe.js
  *   - docker-manager/lib/tailscale-shadow-sync.js
+ *   - docker-manager/lib/tailscale-watcher.js
  */
 
 module.exports = {
@@ -16,8 +33,25 @@ module.exports = {
   modules: [
     "./lib/config.js",
     "./lib/logger.js",
+    "./lib/access-tokens.js",
+    "./lib/audit-log.js",
+    "./lib/main-upstream.js",
+    "./lib/metrics.js",
     "./lib/command-runner.js",
+    "./lib/job-queue.js",
+    "./lib/container-watchdog.js",
     "./lib/docker-client.js",
+    "./lib/docker-engine-client.js",
+    "./lib/image-updates.js",
+    "./lib/peer-discovery.js",
+    "./lib/pocketbase-backup.js",
+    "./lib/log-stream.js",
+    "./lib/mirror-rules.js",
+    "./lib/nginx-files.js",
+    "./lib/nginx-log-filter.js",
+    "./lib/shadow-diff-report.js",
+    "./lib/shadow-peer-probe.js",
     "./lib/tailscale-shadow-sync.js",
+    "./lib/tailscale-watcher.js",
   ],
 };
@@ -0,0 +1,200 @@
+"use strict";
+
+// Runs against a fake Engine API on a unix socket: node --test docker-manager/test/
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, beforeEach, describe, test } = require("node:test");
+
+const { DockerEngineClient } = require("../lib/docker-engine-client");
+
+const socketPath = path.join(os.tmpdir(), `docker-engine-test-${process.pid}.sock`);
+const routes = new Map();
+let server;
+
+const route = (method, pathname, handler) => routes.set(`${method} ${pathname}`, handler);
+
+const frame = (stream, text) => {
+  const payload = Buffer.from(text, "utf8");
+  const header = Buffer.alloc(8);
+  header[0] = stream === "stderr" ? 2 : 1;
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+};
+
+// writes the body in pieces on separate ticks so the client sees several chunks
+const writeInPieces = async (res, buffer, sizes) => {
+  let offset = 0;
+  for (const size of sizes) {
+    res.write(buffer.subarray(offset, offset + size));
+    offset += size;
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  res.end(buffer.subarray(offset));
+};
+
+const sendJson = (res, statusCode, payload) => {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+};
+
+const createClient = (overrides = {}) =>
+  new DockerEngineClient(
+    {
+      dockerSocket: socketPath,
+      dockerBin: "docker",
+      commandTimeoutMs: 2000,
+      defaultLogTail: 100,
+      maxLogLines: 1000,
+      streamMaxDurationSec: 60,
+      ...overrides,
+    },
+    { info() {}, warn() {}, error() {} },
+  );
+
+before(async () => {
+  fs.rmSync(socketPath, { force: true });
+  server = http.createServer((req, res) => {
+    const pathname = req.url.split("?")[0];
+    const handler = routes.get(`${req.method} ${pathname}`);
+    if (!handler) {
+      sendJson(res, 404, { message: `No such route: ${req.method} ${pathname}` });
+      return;
+    }
+    void handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(socketPath, resolve));
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(socketPath, { force: true });
+});
+
+beforeEach(() => {
+  routes.clear();
+  route("GET", "/containers/web/json", async (req, res) => sendJson(res, 200, { Id: "abc", Name: "/web", State: { Status: "running" } }));
+});
+
+describe("chunked responses", () => {
+  test("reassembles a JSON body split across chunks", async () => {
+    const body = Buffer.from(JSON.stringify({ Id: "abc", Name: "/web", Config: { Labels: { "a.b": "é".repeat(50) } } }), "utf8");
+    route("GET", "/containers/web/json", async (req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json", "Transfer-Encoding": "chunked" });
+      await writeInPieces(res, body, [5, 17, 40]);
+    });
+    const result = await createClient().containerInspect("web", { asJson: true });
+    assert.equal(result.code, 0);
+    assert.equal(result.data.length, 1);
+    assert.equal(result.data[0].Config.Labels["a.b"], "é".repeat(50));
+  });
+});
+
+describe("multiplexed streams", () => {
+  test("splits stdout and stderr frames even when headers and characters straddle chunks", async () => {
+    const body = Buffer.concat([frame("stdout", "first line\n"), frame("stderr", "warn: ünïcode\n"), frame("stdout", "last line\n")]);
+    route("GET", "/containers/web/logs", async (req, res) => {
+      res.writeHead(200, { "Content-Type": "application/vnd.docker.multiplexed-stream" });
+      // 3 cuts the first header, 30 lands inside the two-byte "ü"
+      await writeInPieces(res, body, [3, 27, 4]);
+    });
+    const result = await createClient().containerLogs("web", { tail: "10" });
+    assert.equal(result.code, 0);
+    assert.equal(result.stdout, "first line\nlast line\n");
+    assert.equal(result.stderr, "warn: ünïcode\n");
+  });
+
+  test("passes raw TTY output through as stdout", async () => {
+    route("GET", "/containers/web/logs", async (req, res) => {
+      res.writeHead(200, { "Content-Type": "application/vnd.docker.raw-stream" });
+      res.end("plain tty output\n");
+    });
+    const result = await createClient().containerLogs("web", {});
+    assert.equal(result.stdout, "plain tty output\n");
+    assert.equal(result.stderr, "");
+  });
+
+  test("follow streams deliver frames as they arrive and stop on request", async () => {
+    route("GET", "/containers/web/logs", async (req, res) => {
+      res.writeHead(200, { "Content-Type": "application/vnd.docker.multiplexed-stream" });
+      res.write(frame("stdout", "tick\n"));
+    });
+    const lines = [];
+    const handle = await createClient().followContainerLogs("web", { onStdout: (text) => lines.push(text) });
+    while (lines.length === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    handle.stop("client disconnected");
+    const result = await handle.done;
+    assert.deepEqual(lines, ["tick\n"]);
+    assert.equal(result.stopReason, "client disconnected");
+  });
+});
+
+describe("error statuses", () => {
+  test("throws with the daemon message for failed reads", async () => {
+    route("GET", "/containers/web/top", async (req, res) => sendJson(res, 409, { message: "container web is not running" }));
+    route("GET", "/containers/web/stats", async (req, res) => sendJson(res, 500, { message: "boom" }));
+    const top = await createClient().containerTop("web");
+    assert.equal(top.code, 1);
+    assert.equal(top.httpStatus, 409);
+    assert.equal(top.stderr, "container web is not running\n");
+    await assert.rejects(
+      () => createClient().containerInspect("missing"),
+      (error) => /container not found: missing/.test(error.message),
+    );
+  });
+
+  test("containerMutate returns a failed result like the CLI does", async () => {
+    route("POST", "/containers/web/unpause", async (req, res) => sendJson(res, 409, { message: "Container web is not paused" }));
+    route("POST", "/containers/web/stop", async (req, res) => {
+      res.writeHead(304);
+      res.end();
+    });
+    const client = createClient();
+    const failed = await client.containerMutate("web", "unpause");
+    assert.equal(failed.code, 1);
+    assert.equal(failed.ok, false);
+    assert.equal(failed.stdout, "");
+    assert.equal(failed.stderr, "Container web is not paused\n");
+    // already stopped is a success for `docker stop` too
+    const stopped = await client.containerMutate("web", "stop");
+    assert.equal(stopped.code, 0);
+    assert.equal(stopped.stdout, "web\n");
+  });
+
+  test("containerMutate reports an unreachable daemon as exit 1", async () => {
+    const client = createClient();
+    await client.resolveContainerTarget("web");
+    client.socketPath = path.join(os.tmpdir(), `docker-engine-test-${process.pid}-missing.sock`);
+    const result = await client.containerMutate("web", "restart");
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /cannot reach docker daemon/);
+  });
+});
+
+describe("timeouts", () => {
+  test("rejects a request the daemon never answers", async () => {
+    route("GET", "/containers/web/top", () => {
+      // never responds
+    });
+    await assert.rejects(
+      () => createClient({ commandTimeoutMs: 150 }).containerTop("web"),
+      (error) => error.timedOut === true && /docker api timeout after 150ms/.test(error.message),
+    );
+  });
+
+  test("containerMutate still throws on timeout", async () => {
+    route("POST", "/containers/web/restart", () => {
+      // never responds
+    });
+    await assert.rejects(
+      () => createClient({ commandTimeoutMs: 150 }).containerMutate("web", "restart"),
+      (error) => error.timedOut === true,
+    );
+  });
+});
@@ -3,7 +3,7 @@
 const fs = require("fs");
 const os = require("os");
 const path = require("path");
-const { spawnSync } = require("child_process");
+const { spawn, spawnSync } = require("child_process");
 
 const HOST_CWD = normalizeEnv(process.env.HOST_CWD);
 const PULL_DATA_SYNC_DIRS = normalizeEnv(process.env.PULL_DATA_SYNC_DIRS) || ".pocketbase";
@@ -17,6 +17,25 @@ const SSH_PORT = normalizePositiveInt(process.env.PULL_DATA_SSH_PORT || process.
 const SSH_USER = normalizeEnv(process.env.PULL_DATA_SSH_USER);
 const SSH_PRIVATE_KEY_BASE64 = normalizeEnv(process.env.SSH_PULL_DATA_PRIVATE_KEY_BASE64 || process.env.PULL_DATA_SSH_PRIVATE_KEY_BASE64);
 const SSH_KNOWN_HOSTS_FILE = normalizeEnv(process.env.PULL_DATA_SSH_KNOWN_HOSTS_FILE);
+const STATE_DIR = normalizeEnv(process.env.PULL_DATA_STATE_DIR) || ".pull-data";
+const MAX_PEER_ATTEMPTS = normalizePositiveInt(process.env.PULL_DATA_MAX_PEER_ATTEMPTS, 3);
+const VERIFY_PASSES = normalizePositiveInt(process.env.PULL_DATA_VERIFY_PASSES, 2);
+const KEEP_PREVIOUS = normalizeEnv(process.env.PULL_DATA_KEEP_PREVIOUS) !== "0";
+const PROGRESS_INTERVAL_MS = normalizePositiveInt(process.env.PULL_DATA_PROGRESS_INTERVAL_MS, 2000);
+const SNAPSHOT_DIR = process.env.PULL_DATA_SNAPSHOT_DIR === undefined ? ".pocketbase" : normalizeEnv(process.env.PULL_DATA_SNAPSHOT_DIR);
+const SNAPSHOT_USER = normalizeEnv(process.env.PULL_DATA_SNAPSHOT_USER);
+const SNAPSHOT_PASSWORD = normalizeEnv(process.env.PULL_DATA_SNAPSHOT_PASSWORD);
+const SNAPSHOT_TOKEN = normalizeEnv(process.env.PULL_DATA_SNAPSHOT_TOKEN);
+const SNAPSHOT_TIMEOUT_MS = normalizePositiveInt(process.env.PULL_DATA_SNAPSHOT_TIMEOUT_MS, 900000);
+// what an older docker-manager (or a proxy in front of it) answers for the snapshot route
+const SNAPSHOT_UNSUPPORTED_STATUSES = new Set([404, 501]);
+const RSYNC_EXCLUDES = ["--exclude=.git/", "--exclude=**/.git/"];
+// a live SQLite file copied while pocketbase writes can be torn, so these come from the peer's snapshot instead
+const RSYNC_SQLITE_EXCLUDES = ["--exclude=/*.db", "--exclude=/*.db-wal", "--exclude=/*.db-shm", "--exclude=/*.db-journal"];
+// only the top-level *.db files are transferred (and deleted); the rest of staging is left alone
+const RSYNC_SNAPSHOT_FILTER = ["--include=/*.db", "--exclude=*"];
+// rsync keeps interrupted files here (inside the staging dir) and resumes them on the next attempt
+const RSYNC_PARTIAL_DIR = ".rsync-partial";
 
 function log(message) {
   process.stdout.write(`[pull-data] ${message}\n`);
@@ -26,64 +45,139 @@ function warn(message) {
   process.stderr.write(`[pull-data] warning: ${message}\n`);
 }
 
+// Every phase is also emitted as one JSON line ({"pullData":"<event>",...}) on stdout and
+// mirrored to <HOST_CWD>/<PULL_DATA_STATE_DIR>/status.json; the last one is the summary.
+function emit(event, data) {
+  const record = { pullData: event, at: new Date().toISOString(), ...data };
+  process.stdout.write(`${JSON.stringify(record)}\n`);
+  if (!HOST_CWD) {
+    return;
+  }
+  try {
+    const statusFile = path.join(resolveStateDir(), "status.json");
+    fs.mkdirSync(path.dirname(statusFile), { recursive: true });
+    fs.writeFileSync(`${statusFile}.tmp`, `${JSON.stringify(record, null, 2)}\n`, "utf8");
+    fs.renameSync(`${statusFile}.tmp`, statusFile);
+  } catch (error) {
+    warn(`cannot write status file: ${error && error.message ? error.message : String(error)}`);
+  }
+}
+
+function resolveStateDir() {
+  return path.resolve(HOST_CWD, STATE_DIR);
+}
+
 async function main() {
+  const summary = {
+    ok: false,
+    reason: "",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    localCwd: HOST_CWD,
+    peer: null,
+    attempts: [],
+    dirs: [],
+  };
+  try {
+    summary.reason = await pullData(summary);
+  } catch (error) {
+    summary.reason = error && error.message ? error.message : String(error);
+    warn(summary.reason);
+  } finally {
+    summary.finishedAt = new Date().toISOString();
+    emit("summary", summary);
+  }
+}
+
+async function pullData(summary) {
   if (!HOST_CWD) {
     warn("HOST_CWD is empty, skip");
-    return;
+    return "HOST_CWD is empty";
   }
 
   if (!TAILSCALE_CLIENT_ID || !TAILSCALE_CLIENT_SECRET) {
     warn("missing TAILSCALE_CLIENT_ID/TAILSCALE_CLIENT_SECRET, skip");
-    return;
+    return "missing tailscale credentials";
   }
 
   if (typeof fetch !== "function") {
     warn("fetch is unavailable in this Node runtime");
-    return;
+    return "fetch is unavailable";
   }
 
   if (!hasCommand("ssh") || !hasCommand("rsync")) {
     warn("missing ssh or rsync binary");
-    return;
+    return "missing ssh or rsync binary";
+  }
+
+  if (isSnapshotEnabled() && !hasCommand("sqlite3")) {
+    warn("missing sqlite3 binary for the snapshot integrity check");
+    return "missing sqlite3 binary";
   }
 
   const accessToken = await fetchAccessToken();
   const devices = await fetchDevices(accessToken);
   if (devices.length === 0) {
     log("no device returned by Tailscale API");
-    return;
+    return "no device returned by Tailscale API";
   }
 
   const peers = await collectReachablePeers(devices);
   if (peers.length === 0) {
     log("no reachable peer from /cwd");
-    return;
+    return "no reachable peer from /cwd";
   }
 
-  const selected = selectNewestPeer(peers);
-  if (!selected) {
-    log("no peer selected");
-    return;
-  }
+  const candidates = orderPeersByStartTime(peers).slice(0, MAX_PEER_ATTEMPTS);
 
   let sshContext;
   try {
     sshContext = createSshContext();
   } catch (error) {
     warn(error && error.message ? error.message : String(error));
-    return;
+    return error && error.message ? error.message : String(error);
   }
 
   try {
-    log(`selected ip=${selected.ip} startTime=${selected.startTime || "unknown"}`);
-    log(`remote cwd: ${selected.cwd}`);
     log(`local cwd: ${HOST_CWD}`);
+    log(`staging: ${path.join(resolveStateDir(), "staging")}`);
     log(`transport: ssh (port=${SSH_PORT}, key=file, strictHostKeyChecking=accept-new)`);
 
-    syncFromPeer(selected, sshContext);
-    log("done");
+    for (const [index, peer] of candidates.entries()) {
+      const attempt = { attempt: index + 1, ip: peer.ip, startTime: peer.startTime, ok: false, error: "", durationMs: 0 };
+      const startedAt = Date.now();
+      summary.attempts.push(attempt);
+      log("");
+      log(`attempt ${attempt.attempt}/${candidates.length}: ip=${peer.ip} startTime=${peer.startTime || "unknown"}`);
+      log(`remote cwd: ${peer.cwd}`);
+      emit("attempt", { attempt: attempt.attempt, of: candidates.length, ip: peer.ip, startTime: peer.startTime });
+      try {
+        const dirs = await syncPeerIntoStaging(peer, sshContext);
+        swapIntoPlace(dirs);
+        attempt.ok = true;
+        summary.ok = true;
+        summary.peer = { ip: peer.ip, cwd: peer.cwd, startTime: peer.startTime };
+        summary.dirs = dirs.map(({ dir, status, files, bytes, verifyPasses, snapshot, previousPath }) => ({
+          dir,
+          status,
+          files,
+          bytes,
+          verifyPasses,
+          snapshot,
+          previousPath,
+        }));
+        return "";
+      } catch (error) {
+        attempt.error = error && error.message ? error.message : String(error);
+        warn(`attempt ${attempt.attempt} failed, local data left untouched: ${attempt.error}`);
+      } finally {
+        attempt.durationMs = Date.now() - startedAt;
+      }
+    }
+    return `all ${candidates.length} peer attempt(s) failed`;
   } finally {
     cleanupSshContext(sshContext);
+    log("done");
   }
 }
 
@@ -257,23 +351,9 @@ async function fetchPeerCwd(ip) {
   }
 }
 
-function selectNewestPeer(peers) {
-  let selected = null;
-
-  for (const peer of peers) {
-    if (!selected) {
-      selected = peer;
-      continue;
-    }
-
-    const current = parseTimestamp(peer.startTime);
-    const chosen = parseTimestamp(selected.startTime);
-    if (current > chosen) {
-      selected = peer;
-    }
-  }
-
-  return selected;
+// newest runner first; the next ones are fallbacks when a pull from the newest fails
+function orderPeersByStartTime(peers) {
+  return [...peers].sort((left, right) => parseTimestamp(right.startTime) - parseTimestamp(left.startTime));
 }
 
 function parseTimestamp(value) {
@@ -288,9 +368,11 @@ function parseTimestamp(value) {
   return -1;
 }
 
-function syncFromPeer(peer, sshContext) {
+// Pulls every sync dir into <state dir>/staging/<dir> and verifies it; the live dirs are not touched here.
+async function syncPeerIntoStaging(peer, sshContext) {
   const dirs = splitSyncDirs(PULL_DATA_SYNC_DIRS);
   const remoteTarget = resolveSshTarget(peer);
+  const results = [];
   let index = 0;
 
   for (const dir of dirs) {
@@ -303,27 +385,278 @@ function syncFromPeer(peer, sshContext) {
 
     const remotePath = buildRemotePath(peer.cwd, dir);
     const localPath = path.resolve(HOST_CWD, dir);
-    fs.mkdirSync(path.dirname(localPath), { recursive: true });
+    const stagingPath = path.join(resolveStateDir(), "staging", dir);
+    fs.mkdirSync(stagingPath, { recursive: true });
 
     log("");
     log(`[sync ${index}] ${dir}`);
-    log(`  remote: ${remoteTarget}:${remotePath}/`);
-    log(`  local:  ${localPath}/`);
+    log(`  remote:  ${remoteTarget}:${remotePath}/`);
+    log(`  staging: ${stagingPath}/`);
+    log(`  local:   ${localPath}/`);
 
     const remoteCheck = remoteDirectoryExists(remoteTarget, remotePath, sshContext);
     if (!remoteCheck.exists) {
       if (remoteCheck.errorMessage) {
-        warn(`remote check failed (${remoteTarget}): ${remoteCheck.errorMessage}`);
-      } else {
-        warn(`remote path missing: ${remotePath}`);
+        throw new Error(`remote check failed (${remoteTarget}): ${remoteCheck.errorMessage}`);
       }
+      warn(`remote path missing: ${remotePath}`);
+      results.push({ dir, status: "missing", files: 0, bytes: 0, verifyPasses: 0, snapshot: "", previousPath: "" });
       continue;
     }
 
-    runRsync(remoteTarget, remotePath, localPath, dir, sshContext);
+    const snapshot = isSnapshotEnabled() && dir === SNAPSHOT_DIR ? await requestPeerSnapshot(peer) : null;
+    try {
+      const excludes = snapshot ? RSYNC_SQLITE_EXCLUDES : [];
+      // unchanged files are copied from the live dir instead of the network
+      const copyDest = fs.existsSync(localPath) ? [`--copy-dest=${localPath}`] : [];
+      let verifyPasses = 0;
+      let differences = [];
+      do {
+        if (verifyPasses > 0) {
+          // the source kept changing while it was copied, so pull the difference again
+          warn(`verify ${verifyPasses}/${VERIFY_PASSES} for ${dir}: ${differences.length} file(s) differ, e.g. ${differences[0]}`);
+        }
+        const transfer = await runRsync(remoteTarget, remotePath, stagingPath, sshContext, {
+          args: [`--partial-dir=${RSYNC_PARTIAL_DIR}`, "--info=progress2,stats2", "--no-inc-recursive", ...excludes, ...copyDest],
+          onLine: createProgressReporter(dir),
+        });
+        if (transfer.status !== 0) {
+          throw new Error(`rsync failed for ${dir} (exit ${transfer.status}): ${truncate(transfer.stderr)}`);
+        }
+        for (const line of transfer.lines.filter((item) => /^(Number of|Total (file|transferred)|sent |total size)/.test(item))) {
+          log(`  ${line}`);
+        }
+        verifyPasses += 1;
+        differences = await listChecksumDifferences(remoteTarget, remotePath, stagingPath, sshContext, excludes);
+      } while (differences.length > 0 && verifyPasses < VERIFY_PASSES);
+      if (differences.length > 0) {
+        throw new Error(`${dir} still differs from the source after ${verifyPasses} checksum pass(es), e.g. ${differences[0]}`);
+      }
+      if (snapshot) {
+        await pullSnapshotIntoStaging(snapshot, remoteTarget, stagingPath, sshContext);
+      }
+
+      const measured = measureDirectory(stagingPath);
+      const snapshotId = snapshot ? snapshot.id : "";
+      log(`  verified: ${measured.files} files, ${measured.bytes} bytes`);
+      emit("verified", { dir, ip: peer.ip, files: measured.files, bytes: measured.bytes, verifyPasses, snapshot: snapshotId });
+      results.push({ dir, status: "staged", localPath, stagingPath, ...measured, verifyPasses, snapshot: snapshotId, previousPath: "" });
+    } finally {
+      if (snapshot) {
+        await releasePeerSnapshot(peer, snapshot);
+      }
+    }
+  }
+
+  if (!results.some((item) => item.status === "staged")) {
+    throw new Error("peer has none of the sync dirs");
+  }
+  return results;
+}
+
+// Swaps staging dirs into place with renames; the replaced dirs move to <state dir>/previous/<dir>.
+// A failed rename puts every dir of this pull back as it was.
+function swapIntoPlace(dirs) {
+  const swapped = [];
+  try {
+    for (const item of dirs.filter((entry) => entry.status === "staged")) {
+      const previousPath = path.join(resolveStateDir(), "previous", item.dir);
+      fs.rmSync(previousPath, { recursive: true, force: true });
+      fs.mkdirSync(path.dirname(previousPath), { recursive: true });
+      fs.mkdirSync(path.dirname(item.localPath), { recursive: true });
+      const hadLocal = fs.existsSync(item.localPath);
+      if (hadLocal) {
+        fs.renameSync(item.localPath, previousPath);
+      }
+      try {
+        fs.renameSync(item.stagingPath, item.localPath);
+      } catch (error) {
+        if (hadLocal) {
+          fs.renameSync(previousPath, item.localPath);
+        }
+        throw error;
+      }
+      swapped.push({ item, previousPath, hadLocal });
+      item.status = "swapped";
+      item.previousPath = hadLocal ? previousPath : "";
+      log(`swapped ${item.dir} into place${hadLocal ? `, previous copy in ${previousPath}` : ""}`);
+    }
+  } catch (error) {
+    for (const entry of swapped.reverse()) {
+      fs.renameSync(entry.item.localPath, entry.item.stagingPath);
+      if (entry.hadLocal) {
+        fs.renameSync(entry.previousPath, entry.item.localPath);
+      }
+      entry.item.status = "staged";
+      entry.item.previousPath = "";
+    }
+    throw new Error(`swap failed, previous data restored: ${error && error.message ? error.message : String(error)}`);
+  }
+
+  if (!KEEP_PREVIOUS) {
+    for (const entry of swapped) {
+      fs.rmSync(entry.previousPath, { recursive: true, force: true });
+      entry.item.previousPath = "";
+    }
+  }
+}
+
+function isSnapshotEnabled() {
+  return Boolean(SNAPSHOT_DIR) && splitSyncDirs(PULL_DATA_SYNC_DIRS).includes(SNAPSHOT_DIR);
+}
+
+function snapshotHeaders() {
+  const headers = { Accept: "application/json" };
+  if (SNAPSHOT_USER) {
+    headers.Authorization = `Basic ${Buffer.from(`${SNAPSHOT_USER}:${SNAPSHOT_PASSWORD}`, "utf8").toString("base64")}`;
+  }
+  if (SNAPSHOT_TOKEN) {
+    headers["X-Dockerapi-Token"] = SNAPSHOT_TOKEN;
+  }
+  return headers;
+}
+
+// The peer's docker-manager writes VACUUM INTO copies of its SQLite files under its cwd and returns their path.
+// Resolves null when the peer predates the snapshot route.
+async function requestPeerSnapshot(peer) {
+  const url = `http://${peer.ip}:${CWD_PORT}/pull-data/snapshot`;
+  log(`  snapshot: requesting ${url}`);
+  const response = await fetchWithTimeout(url, { method: "POST", headers: snapshotHeaders() }, SNAPSHOT_TIMEOUT_MS);
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    payload = null;
+  }
+  if (SNAPSHOT_UNSUPPORTED_STATUSES.has(response.status)) {
+    // peers running a docker-manager without the snapshot route still sync, just from the live files
+    warn(`peer ${peer.ip} has no snapshot endpoint (${response.status}), rsyncing the live ${SNAPSHOT_DIR} files instead`);
+    emit("snapshot-unsupported", { ip: peer.ip, status: response.status });
+    return null;
+  }
+  const snapshot = payload && payload.ok && payload.data ? payload.data.snapshot : null;
+  if (!response.ok || !snapshot) {
+    throw new Error(`snapshot request failed (${response.status}): ${truncate((payload && (payload.stderr || payload.error)) || text)}`);
+  }
+
+  const remoteCwd = String(peer.cwd || "").replace(/\/+$/, "");
+  const files = Array.isArray(snapshot.files) ? snapshot.files : [];
+  if (
+    !normalizeEnv(snapshot.path).startsWith(`${remoteCwd}/`) ||
+    files.length === 0 ||
+    files.some((file) => !file || path.basename(String(file.name)) !== file.name || !file.name.endsWith(".db"))
+  ) {
+    throw new Error(`peer returned an unusable snapshot: ${truncate(JSON.stringify(snapshot))}`);
+  }
+  log(`  snapshot: ${snapshot.id} (${files.map((file) => `${file.name}=${file.sizeBytes}`).join(", ")})`);
+  emit("snapshot", { ip: peer.ip, id: snapshot.id, files });
+  return snapshot;
+}
+
+// best effort: the peer also expires snapshots nobody removed
+async function releasePeerSnapshot(peer, snapshot) {
+  const url = `http://${peer.ip}:${CWD_PORT}/pull-data/snapshot?id=${encodeURIComponent(snapshot.id)}`;
+  try {
+    const response = await fetchWithTimeout(url, { method: "DELETE", headers: snapshotHeaders() });
+    if (!response.ok) {
+      throw new Error(`status ${response.status}: ${truncate(await response.text())}`);
+    }
+  } catch (error) {
+    const detail = error && error.message ? error.message : String(error);
+    warn(`cannot remove snapshot ${snapshot.id} on ${peer.ip}, it expires there: ${detail}`);
+  }
+}
+
+// Replaces the database files in staging with the snapshot and checks each one before it may be swapped in.
+async function pullSnapshotIntoStaging(snapshot, remoteTarget, stagingPath, sshContext) {
+  log(`  snapshot: ${remoteTarget}:${snapshot.path}/`);
+  const transfer = await runRsync(remoteTarget, snapshot.path, stagingPath, sshContext, { args: RSYNC_SNAPSHOT_FILTER });
+  if (transfer.status !== 0) {
+    throw new Error(`rsync failed for snapshot ${snapshot.id} (exit ${transfer.status}): ${truncate(transfer.stderr)}`);
+  }
+  const differences = await listChecksumDifferences(remoteTarget, snapshot.path, stagingPath, sshContext, RSYNC_SNAPSHOT_FILTER);
+  if (differences.length > 0) {
+    throw new Error(`snapshot ${snapshot.id} differs after transfer, e.g. ${differences[0]}`);
+  }
+  // a journal left next to the new file (e.g. by an older pull) would be replayed into it
+  for (const name of fs.readdirSync(stagingPath)) {
+    if (/\.db-(wal|shm|journal)$/.test(name)) {
+      fs.rmSync(path.join(stagingPath, name), { force: true });
+    }
+  }
+  for (const file of snapshot.files) {
+    const result = checkDatabaseIntegrity(path.join(stagingPath, file.name));
+    if (result !== "ok") {
+      throw new Error(`integrity_check failed for ${file.name} of snapshot ${snapshot.id}: ${truncate(result)}`);
+    }
+    log(`  integrity_check ${file.name}: ok`);
   }
 }
 
+function checkDatabaseIntegrity(dbPath) {
+  const result = spawnSync("sqlite3", ["-readonly", dbPath, "PRAGMA integrity_check;"], {
+    stdio: "pipe",
+    encoding: "utf8",
+    timeout: SNAPSHOT_TIMEOUT_MS,
+  });
+  if (result.status !== 0) {
+    return normalizeEnv(result.stderr) || `sqlite3 exit status ${String(result.status)}`;
+  }
+  return normalizeEnv(result.stdout);
+}
+
+function createProgressReporter(dir) {
+  let lastEmitAt = 0;
+  return (line) => {
+    // --info=progress2: "  12,345,678  45%   10.21MB/s    0:00:07 (xfr#12, to-chk=30/80)"
+    const match = line.match(/^\s*([\d,]+)\s+(\d+)%\s+(\S+\/s)\s+(\d+:\d{2}:\d{2})/);
+    if (!match || (Date.now() - lastEmitAt < PROGRESS_INTERVAL_MS && match[2] !== "100")) {
+      return;
+    }
+    lastEmitAt = Date.now();
+    emit("progress", {
+      dir,
+      bytes: Number(match[1].replace(/,/g, "")),
+      percent: Number(match[2]),
+      rate: match[3],
+      eta: match[4],
+    });
+  };
+}
+
+// A --checksum dry run lists every file whose content (or presence) differs from the source.
+async function listChecksumDifferences(remoteTarget, remotePath, stagingPath, sshContext, filterArgs = []) {
+  const result = await runRsync(remoteTarget, remotePath, stagingPath, sshContext, {
+    args: ["--dry-run", "--checksum", "--itemize-changes", ...filterArgs],
+  });
+  if (result.status !== 0) {
+    throw new Error(`checksum verify failed (exit ${result.status}): ${truncate(result.stderr)}`);
+  }
+  // lines starting with "." are attribute-only changes (e.g. directory times)
+  return result.lines.filter((line) => /^([<>ch]\S{10} |\*deleting )/.test(line));
+}
+
+function measureDirectory(dirPath) {
+  let files = 0;
+  let bytes = 0;
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const fullPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name === RSYNC_PARTIAL_DIR) {
+        continue;
+      }
+      const nested = measureDirectory(fullPath);
+      files += nested.files;
+      bytes += nested.bytes;
+    } else if (entry.isFile()) {
+      files += 1;
+      bytes += fs.statSync(fullPath).size;
+    }
+  }
+  return { files, bytes };
+}
+
 function buildRemotePath(remoteCwd, dir) {
   const normalizedCwd = String(remoteCwd || "")
     .replace(/\\/g, "/")
@@ -357,24 +690,45 @@ function remoteDirectoryExists(remoteTarget, remotePath, sshContext) {
   };
 }
 
-function runRsync(remoteTarget, remotePath, localPath, dir, sshContext) {
+function runRsync(remoteTarget, remotePath, targetPath, sshContext, { args = [], onLine } = {}) {
   const rsyncRsh = shellJoin(["ssh", ...sshBaseArgs(sshContext)]);
-  const result = spawnSync(
-    "rsync",
-    ["-avh", "--delete", "--exclude=.git/", "--exclude=**/.git/", "--info=NAME,STATS2,PROGRESS2", `${remoteTarget}:${remotePath}/`, `${localPath}/`],
-    {
-      stdio: "inherit",
-      encoding: "utf8",
+  return new Promise((resolve) => {
+    const child = spawn("rsync", ["-a", "--delete", ...RSYNC_EXCLUDES, ...args, `${remoteTarget}:${remotePath}/`, `${targetPath}/`], {
+      stdio: ["ignore", "pipe", "pipe"],
       env: {
         ...process.env,
         RSYNC_RSH: rsyncRsh,
       },
-    },
-  );
-
-  if (result.status !== 0) {
-    warn(`rsync failed: ${dir}`);
-  }
+    });
+    const lines = [];
+    let pending = "";
+    let stderr = "";
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+    // progress2 rewrites its line with \r, so both \r and \n end a line
+    child.stdout.on("data", (chunk) => {
+      const parts = `${pending}${chunk}`.split(/[\r\n]+/);
+      pending = parts.pop();
+      for (const line of parts.filter((item) => item.trim())) {
+        lines.push(line);
+        if (onLine) {
+          onLine(line);
+        }
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr = `${stderr}${chunk}`.slice(-4000);
+    });
+    child.on("error", (error) => {
+      resolve({ status: -1, lines, stderr: error.message });
+    });
+    child.on("close", (code) => {
+      if (pending.trim()) {
+        lines.push(pending);
+      }
+      resolve({ status: code === null ? -1 : code, lines, stderr });
+    });
+  });
 }
 
 function splitSyncDirs(value) {
@@ -521,9 +875,9 @@ function hasCommand(command) {
   return result.status === 0;
 }
 
-async function fetchWithTimeout(url, options = {}) {
+async function fetchWithTimeout(url, options = {}, timeoutMs = HTTP_TIMEOUT_MS) {
   const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS);
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
   try {
     return await fetch(url, {
       ...options,